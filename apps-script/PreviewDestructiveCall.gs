@@ -0,0 +1,143 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+/**
+ * Preview of the destructive calls from ToolsForMCPServer-extension.
+ * Before a destructive tool like "remove_files_on_google_drive" or "send_mails_Gmail" runs, the extension sends
+ * the same arguments with the method "tools/preview". This returns the targets of the call without changing anything.
+ * Please copy this file to the Google Apps Script project "ToolsForMCPServer_project", and call
+ * "previewDestructiveCall_" at the top of "doPost" as follows. When the request signing is used,
+ * please call it after "verifySignature_".
+ *
+ * function doPost(e) {
+ *   const preview = previewDestructiveCall_(e);
+ *   if (preview) {
+ *     return preview;
+ *   }
+ *   // The existing script of doPost.
+ * }
+ *
+ * The comments and the Classroom targets are retrieved with the advanced services of Drive API and Classroom API.
+ */
+function previewDestructiveCall_(e) {
+  let obj;
+  try {
+    obj = JSON.parse(e.postData.contents);
+  } catch {
+    return null;
+  }
+  if (obj.method !== "tools/preview") {
+    return null;
+  }
+  const { name, arguments: args = {} } = obj.params || {};
+  let result;
+  try {
+    const preview = previewOf_(name, args);
+    result = {
+      content: [{ type: "text", text: JSON.stringify(preview) }],
+      isError: false,
+    };
+  } catch ({ message }) {
+    result = { content: [{ type: "text", text: message }], isError: true };
+  }
+  return ContentService.createTextOutput(
+    JSON.stringify({ jsonrpc: "2.0", id: obj.id ?? null, result })
+  ).setMimeType(ContentService.MimeType.JSON);
+}
+
+function previewOf_(name, args) {
+  const each = (ids = [], f) =>
+    ids.map((id) => {
+      try {
+        return f(id);
+      } catch ({ message }) {
+        return { id, error: message };
+      }
+    });
+  switch (name) {
+    case "remove_files_on_google_drive":
+      return {
+        filesToBeRemoved: each(args.fileList, (id) => {
+          const file = DriveApp.getFileById(id);
+          return {
+            id,
+            name: file.getName(),
+            mimeType: file.getMimeType(),
+            url: file.getUrl(),
+          };
+        }),
+      };
+    case "send_mails_Gmail":
+      return {
+        draftsToBeSent: each(args.draftIds, (id) => {
+          const message = GmailApp.getDraft(id).getMessage();
+          return {
+            draftId: id,
+            to: message.getTo(),
+            cc: message.getCc(),
+            bcc: message.getBcc(),
+            subject: message.getSubject(),
+          };
+        }),
+      };
+    case "remove_mails_Gmail":
+      return {
+        messagesToBeRemoved: each(args.messageIds, (id) => {
+          const message = GmailApp.getMessageById(id);
+          return {
+            messageId: id,
+            from: message.getFrom(),
+            to: message.getTo(),
+            subject: message.getSubject(),
+            date: message.getDate().toISOString(),
+          };
+        }),
+      };
+    case "delete_schedules_on_Google_Calendar": {
+      const calendar = args.calendarId
+        ? CalendarApp.getCalendarById(args.calendarId)
+        : CalendarApp.getDefaultCalendar();
+      return {
+        eventsToBeRemoved: each(args.eventIds, (id) => {
+          const event = calendar.getEventById(id);
+          if (!event) {
+            throw new Error("The event was not found.");
+          }
+          return {
+            id,
+            title: event.getTitle(),
+            startTime: event.getStartTime().toISOString(),
+            endTime: event.getEndTime().toISOString(),
+          };
+        }),
+      };
+    }
+    case "comments_drive_api_remove": {
+      const { fileId, commentId } = args.pathParameters;
+      const comment = Drive.Comments.get(fileId, commentId, {
+        fields: "id,content,author(displayName),createdTime",
+      });
+      return {
+        fileName: DriveApp.getFileById(fileId).getName(),
+        commentToBeRemoved: comment,
+      };
+    }
+  }
+  if (/^classroom_.*_(delete|remove)$/.test(name)) {
+    const p = args.pathParameters || {};
+    const courseId = name === "classroom_courses_remove" ? p.id : p.courseId;
+    const course = courseId ? Classroom.Courses.get(courseId) : null;
+    return {
+      target: name.replace(/^classroom_|_(delete|remove)$/g, ""),
+      pathParameters: p,
+      course: course && {
+        id: course.id,
+        name: course.name,
+        section: course.section,
+      },
+    };
+  }
+  throw new Error(`The preview of "${name}" is not supported.`);
+}
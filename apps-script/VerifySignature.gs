@@ -0,0 +1,64 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+/**
+ * Verification of the signed requests from ToolsForMCPServer-extension.
+ * Please copy this file to the Google Apps Script project "ToolsForMCPServer_project",
+ * and set the same secret as "MCP_SIGNING_SECRET" of the extension to the script property "MCP_SIGNING_SECRET".
+ * Then, call "verifySignature_" at the top of "doPost" as follows.
+ *
+ * function doPost(e) {
+ *   const error = verifySignature_(e);
+ *   if (error) {
+ *     return ContentService.createTextOutput(
+ *       JSON.stringify({ jsonrpc: "2.0", id: null, error: { code: -32001, message: `Unauthorized. ${error}` } })
+ *     ).setMimeType(ContentService.MimeType.JSON);
+ *   }
+ *   // The existing script of doPost.
+ * }
+ *
+ * The signature is HMAC-SHA256 (hex) of "{timestamp}\n{nonce}\n{raw request body}".
+ * Each nonce is stored in CacheService, and a replayed request is rejected.
+ */
+function verifySignature_(e, maxSkewSeconds = 300) {
+  const secret =
+    PropertiesService.getScriptProperties().getProperty("MCP_SIGNING_SECRET");
+  if (!secret) {
+    return "MCP_SIGNING_SECRET is not set to the script properties.";
+  }
+  const { timestamp, nonce, signature } = e.parameter;
+  if (!timestamp || !nonce || !signature) {
+    return "The request is not signed.";
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkewSeconds) {
+    return "The timestamp of the request is out of the allowed window.";
+  }
+  const body = e.postData ? e.postData.contents : "";
+  const bytes = Utilities.computeHmacSha256Signature(
+    `${timestamp}\n${nonce}\n${body}`,
+    secret,
+    Utilities.Charset.UTF_8
+  );
+  const expected = bytes
+    .map((b) => ("0" + (b & 0xff).toString(16)).slice(-2))
+    .join("");
+  if (expected.length !== signature.length) {
+    return "The signature is invalid.";
+  }
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  }
+  if (diff !== 0) {
+    return "The signature is invalid.";
+  }
+  const cache = CacheService.getScriptCache();
+  const key = `mcp_nonce_${nonce}`;
+  if (cache.get(key)) {
+    return "The nonce has already been used.";
+  }
+  cache.put(key, "1", maxSkewSeconds * 2);
+  return null;
+}
@@ -0,0 +1,206 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+/**
+ * Generator of the tool reference from the zod schemas of tools.js.
+ * "docs/tools.md" is the Markdown reference and "docs/tools.schema.json" is the JSON Schema bundle
+ * of all tools and prompts with the groups and the annotations.
+ * With "--check", nothing is written and the exit code is 1 when the files are out of date.
+ *
+ * Usage:
+ *   npm run docs
+ *   npm run docs:check
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { dirname, join, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+
+// The tools are only read here, so a placeholder URL is used when Web Apps is not set.
+process.env.MCP_WEB_APPS_URL ||= "http://localhost/exec?accessKey=docs";
+const { toolGroups, prompts } = await import("../src/tools.js");
+const { metadataFor, annotationsFor } = await import("../src/metadata.js");
+
+const DOCS_DIR = join(dirname(fileURLToPath(import.meta.url)), "../../docs");
+const MARKDOWN_FILE = join(DOCS_DIR, "tools.md");
+const SCHEMA_FILE = join(DOCS_DIR, "tools.schema.json");
+
+function jsonSchema_(shape) {
+  const { $schema, ...schema } = zodToJsonSchema(z.object(shape || {}), {
+    strictUnions: true,
+  });
+  return schema;
+}
+
+function buildBundle_() {
+  return {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    groups: Object.fromEntries(
+      Object.entries(toolGroups).map(([group, tools]) => [
+        group,
+        tools.map(({ name }) => name),
+      ])
+    ),
+    tools: Object.entries(toolGroups).flatMap(([group, tools]) =>
+      tools.map(({ name, schema }) => ({
+        name,
+        group,
+        title: annotationsFor(name).title,
+        description: schema.description,
+        access: metadataFor(name).access,
+        requiresConfirmation: metadataFor(name).confirm,
+        annotations: annotationsFor(name),
+        inputSchema: jsonSchema_(schema.inputSchema),
+        ...(schema.outputSchema
+          ? { outputSchema: jsonSchema_(schema.outputSchema) }
+          : {}),
+      }))
+    ),
+    prompts: prompts.map(({ name, config }) => ({
+      name,
+      title: config.title,
+      description: config.description,
+      argsSchema: jsonSchema_(config.argsSchema),
+    })),
+  };
+}
+
+function cell_(text = "") {
+  return String(text).trim().replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+function typeOf_(property = {}) {
+  if (property.enum) {
+    return property.enum.map((e) => JSON.stringify(e)).join(" \\| ");
+  }
+  if (property.anyOf) {
+    return property.anyOf.map(typeOf_).join(" \\| ");
+  }
+  if (property.type === "array") {
+    return `${typeOf_(property.items)}[]`;
+  }
+  return [].concat(property.type || "any").join(" \\| ");
+}
+
+function argumentsTable_({ properties = {}, required = [] }) {
+  const rows = Object.entries(properties).map(
+    ([key, property]) =>
+      `| \`${key}\` | ${typeOf_(property)} | ${
+        required.includes(key) ? "Yes" : "No"
+      } | ${cell_(property.description)} |`
+  );
+  return rows.length === 0
+    ? ["No arguments."]
+    : [
+        "| Argument | Type | Required | Description |",
+        "| --- | --- | --- | --- |",
+        ...rows,
+      ];
+}
+
+function anchor_(name) {
+  return name.toLowerCase().replace(/[^a-z0-9_-]/g, "");
+}
+
+function buildMarkdown_(bundle) {
+  const lines = [
+    "# Tool reference",
+    "",
+    '<!-- This file is generated by mcp-server/dev/generate-tool-reference.js. Please run "npm run docs" in mcp-server instead of editing it. -->',
+    "",
+    `${bundle.tools.length} tools in ${
+      Object.keys(bundle.groups).length
+    } groups and ${
+      bundle.prompts.length
+    } prompts. The JSON Schemas are in [tools.schema.json](tools.schema.json).`,
+    "",
+    "| Group | Tools |",
+    "| --- | --- |",
+    ...Object.entries(bundle.groups).map(
+      ([group, names]) => `| [${group}](#${anchor_(group)}) | ${names.length} |`
+    ),
+    "| [Prompts](#prompts) | |",
+  ];
+  for (const [group, names] of Object.entries(bundle.groups)) {
+    lines.push("", `## ${group}`);
+    for (const name of names) {
+      const tool = bundle.tools.find((t) => t.name === name);
+      const { idempotentHint, openWorldHint } = tool.annotations;
+      const hints = [
+        `Access: ${tool.access}`,
+        idempotentHint ? "idempotent" : "not idempotent",
+        openWorldHint ? "open world" : "closed world",
+        ...(tool.requiresConfirmation ? ["requires confirmation"] : []),
+      ];
+      lines.push(
+        "",
+        `### ${name}`,
+        "",
+        `**${tool.title}** (${hints.join(", ")})`,
+        "",
+        tool.description.trim(),
+        "",
+        ...argumentsTable_(tool.inputSchema)
+      );
+      if (tool.outputSchema) {
+        lines.push(
+          "",
+          `Structured result: ${Object.keys(tool.outputSchema.properties)
+            .map((key) => `\`${key}\``)
+            .join(", ")}`
+        );
+      }
+    }
+  }
+  lines.push("", "## Prompts");
+  for (const prompt of bundle.prompts) {
+    lines.push(
+      "",
+      `### ${prompt.name}`,
+      "",
+      `**${prompt.title}**`,
+      "",
+      prompt.description.trim(),
+      "",
+      ...argumentsTable_(prompt.argsSchema)
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function read_(file) {
+  try {
+    return readFileSync(file, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+const bundle = buildBundle_();
+const outputs = [
+  [MARKDOWN_FILE, buildMarkdown_(bundle)],
+  [SCHEMA_FILE, `${JSON.stringify(bundle, null, 2)}\n`],
+];
+
+if (process.argv.includes("--check")) {
+  const stale = outputs.filter(([file, text]) => read_(file) !== text);
+  for (const [file] of stale) {
+    console.error(
+      `${relative(
+        process.cwd(),
+        file
+      )} is out of date. Please run "npm run docs".`
+    );
+  }
+  process.exitCode = stale.length > 0 ? 1 : 0;
+} else {
+  mkdirSync(DOCS_DIR, { recursive: true });
+  for (const [file, text] of outputs) {
+    writeFileSync(file, text);
+    console.error(`${relative(process.cwd(), file)} was written.`);
+  }
+}
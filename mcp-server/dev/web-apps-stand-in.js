@@ -0,0 +1,155 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+/**
+ * Local stand-in of Web Apps for testing the extension without Google Apps Script.
+ * Each call is answered with the tool name and the received arguments.
+ * When "MCP_SIGNING_SECRET" or "MCP_SIGNING_SECRET_FILE" is set, the signature of each request is verified
+ * in the same way as apps-script/VerifySignature.gs, and the tampered or replayed requests are rejected.
+ * "initialize" returns the capabilities of the tools and the prompts, and "tools/list" returns the tools of docs/tools.schema.json
+ * except the group "tools_management_extension", because those tools run in this extension and not in Web Apps.
+ * When "STAND_IN_TOOLS_FILE" is a JSON file of the tools, "tools/list" returns the tools for testing the tool discovery
+ * and the backend compatibility.
+ *
+ * Usage:
+ *   MCP_SIGNING_SECRET=### node dev/web-apps-stand-in.js
+ *   MCP_WEB_APPS_URL="http://localhost:8080/exec?accessKey=sample" MCP_SIGNING_SECRET=### gemini
+ */
+
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import { verifySignature } from "../src/signing.js";
+
+const port = Number(process.env.PORT || 8080);
+const host = process.env.HOST || "127.0.0.1";
+const secret = process.env.MCP_SIGNING_SECRET_FILE
+  ? readFileSync(process.env.MCP_SIGNING_SECRET_FILE, "utf8").trim()
+  : process.env.MCP_SIGNING_SECRET || "";
+const tools = process.env.STAND_IN_TOOLS_FILE
+  ? JSON.parse(readFileSync(process.env.STAND_IN_TOOLS_FILE, "utf8"))
+  : JSON.parse(
+      readFileSync(
+        new URL("../../docs/tools.schema.json", import.meta.url),
+        "utf8"
+      )
+    )
+      .tools.filter(({ group }) => group !== "tools_management_extension")
+      .map(({ name, title, description, inputSchema, annotations }) => ({
+        name,
+        title,
+        description,
+        inputSchema,
+        annotations,
+      }));
+const seenNonces = new Map();
+
+function send_(res, status, object) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(object));
+}
+
+const server = createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    let id = null;
+    try {
+      id = JSON.parse(body).id ?? null;
+    } catch {
+      // The body is checked below.
+    }
+    if (secret) {
+      const reason = verifySignature(
+        {
+          timestamp: url.searchParams.get("timestamp"),
+          nonce: url.searchParams.get("nonce"),
+          signature: url.searchParams.get("signature"),
+          body,
+        },
+        secret,
+        { seenNonces }
+      );
+      if (reason) {
+        console.error(`Rejected: ${reason}`);
+        send_(res, 200, {
+          jsonrpc: "2.0",
+          id,
+          error: { code: -32001, message: `Unauthorized. ${reason}` },
+        });
+        return;
+      }
+    }
+    let o;
+    try {
+      o = JSON.parse(body);
+    } catch ({ message }) {
+      send_(res, 200, {
+        jsonrpc: "2.0",
+        id,
+        error: { code: -32700, message: `Parse error. ${message}` },
+      });
+      return;
+    }
+    const { method, params = {} } = o;
+    console.error(`${method} ${params.name}`);
+    if (method === "initialize") {
+      send_(res, 200, {
+        jsonrpc: "2.0",
+        id,
+        result: {
+          protocolVersion: params.protocolVersion,
+          capabilities: { tools: {}, prompts: {} },
+          serverInfo: { name: "web-apps-stand-in", version: "0.0.0" },
+        },
+      });
+      return;
+    }
+    if (method === "tools/list") {
+      send_(res, 200, { jsonrpc: "2.0", id, result: { tools } });
+      return;
+    }
+    if (method === "prompts/get") {
+      send_(res, 200, {
+        jsonrpc: "2.0",
+        id,
+        result: {
+          messages: [
+            {
+              role: "user",
+              content: { type: "text", text: JSON.stringify(params) },
+            },
+          ],
+        },
+      });
+      return;
+    }
+    send_(res, 200, {
+      jsonrpc: "2.0",
+      id,
+      result: {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              name: params.name,
+              arguments: params.arguments,
+            }),
+          },
+        ],
+        isError: false,
+      },
+    });
+  });
+});
+
+server.listen(port, host, () => {
+  console.error(
+    `Stand-in of Web Apps is running at http://${host}:${port}/exec (signature verification: ${
+      secret ? "on" : "off"
+    }).`
+  );
+});
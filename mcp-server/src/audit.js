@@ -0,0 +1,198 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import {
+  appendFileSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  statSync,
+} from "node:fs";
+import { join } from "node:path";
+import { envBoolean, envNumber, envString, stateDir } from "./config.js";
+import { metadataFor } from "./metadata.js";
+import { redact } from "./secrets.js";
+
+/**
+ * Audit log of the tool calls.
+ * Each call through request_() is appended to "audit.jsonl" in "MCP_AUDIT_DIR" as one JSON line with the timestamp,
+ * the tool name, the redacted arguments, the duration, the outcome, the error code and the IDs of the resources
+ * created or changed by the call. When the file exceeds "MCP_AUDIT_MAX_BYTES", it is rotated to "audit.1.jsonl",
+ * "audit.2.jsonl" and so on, and "MCP_AUDIT_MAX_FILES" files are kept.
+ * A call run as a job has the entry "job_started" and the entry of the final outcome with the same "jobId".
+ */
+
+const enabled = envBoolean("MCP_AUDIT_LOG", true);
+const auditDir = envString("MCP_AUDIT_DIR", join(stateDir(), "audit"));
+const maxBytes = envNumber("MCP_AUDIT_MAX_BYTES", 10 * 1024 * 1024);
+const maxFiles = Math.max(1, envNumber("MCP_AUDIT_MAX_FILES", 5));
+
+const MAX_RESOURCE_IDS = 100;
+const ID_KEY_PATTERN = /^id$|Ids?$|^fileList$|^name$/;
+
+function fileOf_(index) {
+  return join(auditDir, index === 0 ? "audit.jsonl" : `audit.${index}.jsonl`);
+}
+
+function rotate_(incomingBytes) {
+  let size = 0;
+  try {
+    size = statSync(fileOf_(0)).size;
+  } catch {
+    return;
+  }
+  if (size + incomingBytes <= maxBytes) {
+    return;
+  }
+  rmSync(fileOf_(maxFiles - 1), { force: true });
+  for (let i = maxFiles - 2; i >= 0; i--) {
+    try {
+      renameSync(fileOf_(i), fileOf_(i + 1));
+    } catch {
+      // The file doesn't exist yet.
+    }
+  }
+}
+
+/**
+ * Collect the resource IDs like "fileId", "draftIds" and "id" from "value".
+ * For "name", only the resource names like "fileSearchStores/###" are collected.
+ */
+function collectIds_(value, ids, key = "") {
+  if (ids.size >= MAX_RESOURCE_IDS) {
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((v) => collectIds_(v, ids, key));
+  } else if (value && typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) {
+      collectIds_(v, ids, k);
+    }
+  } else if (
+    (typeof value === "string" || typeof value === "number") &&
+    ID_KEY_PATTERN.test(key) &&
+    (key !== "name" || /^[\w-]+\/[\w-]+/.test(value))
+  ) {
+    ids.add(String(value));
+  }
+}
+
+function parseText_(result) {
+  const text = (result?.content || [])
+    .filter((c) => c.type === "text")
+    .map((c) => c.text)
+    .join("\n");
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function outcomeOf_(result, error) {
+  if (error || result?.isError) {
+    return "error";
+  }
+  if (result?.structuredContent?.job) {
+    return "job_started";
+  }
+  if (result?.structuredContent?.confirmationToken) {
+    return "preview";
+  }
+  return "success";
+}
+
+/**
+ * Resource IDs created or changed by the call. The reads and the previews change nothing,
+ * so nothing is returned for them.
+ */
+function resourceIdsOf_(name, args, result, outcome) {
+  if (metadataFor(name).access === "read" || outcome !== "success") {
+    return [];
+  }
+  const ids = new Set();
+  collectIds_(args, ids);
+  collectIds_(result?.structuredContent ?? parseText_(result), ids);
+  return [...ids];
+}
+
+/**
+ * Append the call to the audit log. A failure of the audit log doesn't make the call fail.
+ */
+export function recordAudit({
+  name,
+  method,
+  args,
+  startedAt,
+  result,
+  error,
+  jobId,
+}) {
+  if (!enabled) {
+    return;
+  }
+  const { confirmationToken, ...rest } = args || {};
+  const outcome = outcomeOf_(result, error);
+  const entry = redact({
+    timestamp: new Date(startedAt).toISOString(),
+    tool: name,
+    method,
+    arguments: rest,
+    durationMs: Date.now() - startedAt,
+    outcome,
+    errorCode:
+      (error?.cause ?? error)?.code ?? result?.structuredContent?.error?.code,
+    confirmed: confirmationToken ? true : undefined,
+    jobId: jobId ?? result?.structuredContent?.job?.jobId,
+    resourceIds: resourceIdsOf_(name, rest, result, outcome),
+  });
+  const line = `${JSON.stringify(entry)}\n`;
+  try {
+    mkdirSync(auditDir, { recursive: true });
+    rotate_(Buffer.byteLength(line));
+    appendFileSync(fileOf_(0), line);
+  } catch ({ message }) {
+    console.error(`The audit log could not be written. ${message}`);
+  }
+}
+
+/**
+ * Search the audit log from the newest entry.
+ * "tool" is a tool name, "outcome" is "success", "error", "preview" or "job_started",
+ * and "since" is an ISO date-time.
+ */
+export function queryAudit({ tool, outcome, since, limit = 50 } = {}) {
+  const entries = [];
+  for (let i = 0; i < maxFiles && entries.length < limit; i++) {
+    let lines;
+    try {
+      lines = readFileSync(fileOf_(i), "utf8").split("\n").filter(Boolean);
+    } catch {
+      break;
+    }
+    for (const line of lines.reverse()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (since && entry.timestamp < since) {
+        return { entries, logDir: auditDir };
+      }
+      if (
+        (!tool || entry.tool === tool) &&
+        (!outcome || entry.outcome === outcome)
+      ) {
+        entries.push(entry);
+        if (entries.length >= limit) {
+          break;
+        }
+      }
+    }
+  }
+  return { entries, logDir: auditDir };
+}
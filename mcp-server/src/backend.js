@@ -0,0 +1,206 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { mkdirSync, renameSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import {
+  LATEST_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+} from "@modelcontextprotocol/sdk/types.js";
+import { envBoolean, envNumber, envString, stateDir } from "./config.js";
+import { DISCOVERED_GROUP, listRemoteTools } from "./discovery.js";
+import { LOCAL_TOOL_GROUPS } from "./groups.js";
+import { requestWebApps } from "./request.js";
+import { EXTENSION_NAME, EXTENSION_VERSION } from "./version.js";
+
+/**
+ * Handshake with Web Apps at startup.
+ * "initialize" of MCP is sent to Web Apps, and the name, the version, the protocol version and the capabilities
+ * of the Google Apps Script project are recorded to "backend.json" in the state directory.
+ * The known incompatible combinations of this extension and Web Apps are warned to stderr.
+ * When Web Apps has the capability of the tools, the tools not returned by "tools/list" are hidden,
+ * and when Web Apps has no capability of the prompts, the prompts are hidden.
+ * When the handshake fails, all tools and prompts are registered.
+ */
+
+const backendFile = join(stateDir(), "backend.json");
+
+let backend_ = null;
+
+export function handshakeSettings() {
+  return {
+    enabled: envBoolean("MCP_BACKEND_HANDSHAKE", true),
+    hideUnsupported: envBoolean("MCP_HIDE_UNSUPPORTED_TOOLS", true),
+    minVersion: envString("MCP_BACKEND_MIN_VERSION"),
+    timeoutMs: envNumber("MCP_BACKEND_HANDSHAKE_TIMEOUT_MS", 10000),
+  };
+}
+
+/**
+ * Compare the versions like "1.2.10" and "1.2.9". The parts which are not numbers are handled as 0.
+ */
+function compareVersions_(a, b) {
+  const partsA = String(a).split(".").map(parseFloat);
+  const partsB = String(b).split(".").map(parseFloat);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return Math.sign(diff);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Known incompatible combinations of this extension and Web Apps.
+ * Each "test" receives the recorded backend and the settings, and the "message" is warned when it returns true.
+ */
+const KNOWN_INCOMPATIBILITIES = [
+  {
+    test: ({ protocolVersion }) =>
+      Boolean(protocolVersion) &&
+      !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion),
+    message: ({ protocolVersion }) =>
+      `The protocol version "${protocolVersion}" of Web Apps is not supported by this extension (${SUPPORTED_PROTOCOL_VERSIONS.join(
+        ", "
+      )}). Please update this extension or the Google Apps Script project.`,
+  },
+  {
+    test: ({ capabilities }) => !capabilities.tools,
+    message: () =>
+      `Web Apps has no capability of the tools. Please confirm that "MCP_WEB_APPS_URL" is Web Apps of ToolsForMCPServer.`,
+  },
+  {
+    test: ({ version }, { minVersion }) =>
+      Boolean(minVersion) &&
+      (!version || compareVersions_(version, minVersion) < 0),
+    message: ({ version }, { minVersion }) =>
+      `The version "${
+        version || "unknown"
+      }" of Web Apps is older than "MCP_BACKEND_MIN_VERSION" (${minVersion}). Please deploy a new version of Web Apps.`,
+  },
+];
+
+function save_(backend) {
+  mkdirSync(stateDir(), { recursive: true });
+  const temp = `${backendFile}.${process.pid}.tmp`;
+  writeFileSync(temp, JSON.stringify(backend, null, 2));
+  renameSync(temp, backendFile);
+}
+
+/**
+ * Backend recorded by the last handshake of this process. This is null before the handshake.
+ */
+export function backendInfo() {
+  return backend_;
+}
+
+/**
+ * Send "initialize" to Web Apps and list the tools of Web Apps.
+ * The result has "backend" (null when the handshake failed), "tools" of "tools/list" (null when those are not listed),
+ * and "warnings" for stderr.
+ */
+export async function handshake(settings = handshakeSettings()) {
+  if (!settings.enabled) {
+    return { backend: null, tools: null, warnings: [] };
+  }
+  const deadline = Date.now() + settings.timeoutMs;
+  const remaining = () => Math.max(1, deadline - Date.now());
+  let result;
+  try {
+    result = await requestWebApps(
+      "initialize",
+      {
+        protocolVersion: LATEST_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: EXTENSION_NAME, version: EXTENSION_VERSION },
+      },
+      { timeoutMs: remaining() }
+    );
+    if (!result?.capabilities) {
+      throw new Error(`"initialize" of Web Apps returned no "capabilities".`);
+    }
+  } catch ({ message }) {
+    return {
+      backend: null,
+      tools: null,
+      warnings: [
+        `The handshake with Web Apps failed, so all tools are registered. ${message}`,
+      ],
+    };
+  }
+  const warnings = [];
+  const backend = {
+    name: result.serverInfo?.name ?? null,
+    version: result.serverInfo?.version ?? null,
+    protocolVersion: result.protocolVersion ?? null,
+    capabilities: result.capabilities,
+    extensionVersion: EXTENSION_VERSION,
+    checkedAt: new Date().toISOString(),
+  };
+  let tools = null;
+  if (backend.capabilities.tools) {
+    try {
+      tools = await listRemoteTools({ timeoutMs: remaining() });
+    } catch ({ message }) {
+      warnings.push(
+        `The tools of Web Apps could not be listed, so no tool is hidden. ${message}`
+      );
+    }
+  }
+  backend.tools = tools?.map(({ name }) => name) ?? null;
+  for (const { test, message } of KNOWN_INCOMPATIBILITIES) {
+    if (test(backend, settings)) {
+      warnings.push(message(backend, settings));
+    }
+  }
+  backend_ = backend;
+  try {
+    save_(backend);
+  } catch ({ message }) {
+    warnings.push(`The backend could not be recorded. ${message}`);
+  }
+  return { backend, tools, warnings };
+}
+
+/**
+ * Remove the tools which Web Apps doesn't support from "toolGroups", and the prompts when Web Apps has no capability of the prompts.
+ * The tools of this extension itself and the discovered tools are not removed.
+ */
+export function hideUnsupported(
+  { toolGroups, prompts },
+  backend,
+  settings = handshakeSettings()
+) {
+  if (!backend || !settings.hideUnsupported) {
+    return { toolGroups, prompts, hidden: [] };
+  }
+  const supported = backend.tools?.length > 0 ? new Set(backend.tools) : null;
+  const isSupported = (group, name) =>
+    !supported ||
+    LOCAL_TOOL_GROUPS.includes(group) ||
+    group === DISCOVERED_GROUP ||
+    supported.has(name);
+  const hidden = Object.entries(toolGroups).flatMap(([group, tools]) =>
+    tools
+      .filter(({ name }) => !isSupported(group, name))
+      .map(({ name }) => name)
+  );
+  const visible = Object.fromEntries(
+    Object.entries(toolGroups).map(([group, tools]) => [
+      group,
+      tools.filter(({ name }) => isSupported(group, name)),
+    ])
+  );
+  const hidePrompts = !backend.capabilities.prompts && prompts.length > 0;
+  if (hidePrompts) {
+    hidden.push(...prompts.map(({ name }) => `${name} (prompt)`));
+  }
+  return {
+    toolGroups: visible,
+    prompts: hidePrompts ? [] : prompts,
+    hidden,
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { envNumber } from "./config.js";
+import { metadataFor } from "./metadata.js";
+
+/**
+ * Batch mode for the tools taking arrays like "rename_files_on_google_drive".
+ * When the array of the argument declared by "batch" in metadata.js has more items than "MCP_BATCH_CHUNK_SIZE",
+ * the array is split into chunks, and each chunk is sent to Web Apps in order.
+ * After each chunk, "notifications/progress" is sent when the client gives a progress token.
+ * The result includes the status of each item, so a failed chunk doesn't hide the items that worked.
+ * Web Apps might have applied a part of a failed chunk before the error, so the items of a failed chunk are "unknown",
+ * not "failed". Retrying them can duplicate the items which are not idempotent, like the drafts and the charts.
+ */
+
+const chunkSize = Math.max(1, envNumber("MCP_BATCH_CHUNK_SIZE", 10));
+
+/**
+ * Return the name of the argument which is split into chunks, or null when the call is not split.
+ */
+export function batchArgumentOf(name, args = {}) {
+  const { batch } = metadataFor(name);
+  return batch && Array.isArray(args[batch]) && args[batch].length > chunkSize
+    ? batch
+    : null;
+}
+
+function resultText_(result) {
+  return (result.content || [])
+    .map((c) => c.text || "")
+    .join("\n")
+    .trim();
+}
+
+/**
+ * When the result of the chunk is a JSON array with a value for each item, the values are returned.
+ */
+function itemValues_(chunk, text) {
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) && parsed.length === chunk.length
+      ? parsed
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run "call" for each chunk of "args[argument]". "call" is required to return the result of the tool for the chunk.
+ */
+export async function runBatch({ argument, args, extra, call }) {
+  const total = args[argument].length;
+  const progressToken = extra?._meta?.progressToken;
+  const items = [];
+  const chunks = [];
+  for (let start = 0; start < total; start += chunkSize) {
+    const chunk = args[argument].slice(start, start + chunkSize);
+    const index = chunks.length;
+    if (extra?.signal?.aborted) {
+      chunks.push({
+        chunk: index,
+        start,
+        count: chunk.length,
+        status: "skipped",
+      });
+      items.push(
+        ...chunk.map((item, i) => ({
+          index: start + i,
+          item,
+          chunk: index,
+          status: "skipped",
+        }))
+      );
+      continue;
+    }
+    const result = await call({ ...args, [argument]: chunk });
+    const text = resultText_(result);
+    const values = result.isError ? null : itemValues_(chunk, text);
+    chunks.push({
+      chunk: index,
+      start,
+      count: chunk.length,
+      status: result.isError ? "failed" : "succeeded",
+      ...(result.isError
+        ? { error: result.structuredContent?.error || { message: text } }
+        : values
+        ? {}
+        : { result: text }),
+    });
+    items.push(
+      ...chunk.map((item, i) => ({
+        index: start + i,
+        item,
+        chunk: index,
+        status: result.isError ? "unknown" : "succeeded",
+        ...(values ? { result: values[i] } : {}),
+      }))
+    );
+    if (progressToken !== undefined) {
+      const done = start + chunk.length;
+      await extra
+        .sendNotification({
+          method: "notifications/progress",
+          params: {
+            progressToken,
+            progress: done,
+            total,
+            message: `${done} of ${total} items were processed.`,
+          },
+        })
+        .catch(() => {});
+    }
+  }
+  const count = (status) => items.filter((e) => e.status === status).length;
+  const summary = {
+    total,
+    succeeded: count("succeeded"),
+    unknown: count("unknown"),
+    skipped: count("skipped"),
+    items,
+    chunks,
+  };
+  return {
+    content: [{ type: "text", text: JSON.stringify(summary) }],
+    structuredContent: summary,
+    isError: summary.succeeded === 0,
+  };
+}
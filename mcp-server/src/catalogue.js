@@ -0,0 +1,131 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import {
+  toolGroups as bundledToolGroups,
+  prompts as bundledPrompts,
+} from "./tools.js";
+import {
+  selectTools,
+  selectionSettings,
+  unmatchedPatterns,
+} from "./tool-selection.js";
+import { withConfirmationToken } from "./confirmation.js";
+import { groupOf } from "./groups.js";
+import { annotationsFor } from "./metadata.js";
+import { instrumentTool } from "./telemetry.js";
+import { withOutputSchema } from "./output-schemas.js";
+import { discoverTools, discoverySettings } from "./discovery.js";
+import { handshake, hideUnsupported } from "./backend.js";
+
+/**
+ * Catalogue of the tools and the prompts used by both the MCP server and the CLI.
+ * The tools of tools.js are merged with the tools discovered from Web Apps when the discovery is enabled (discovery.js),
+ * and the tools which Web Apps doesn't support are hidden after the handshake (backend.js).
+ * The tools are selected with the profiles, the patterns and the read-only mode (tool-selection.js),
+ * and each tool has the config for "registerTool" with the title, the annotations and the confirmation token.
+ */
+
+export function toolConfig({ name, schema }) {
+  const annotations = annotationsFor(name);
+  return {
+    ...withConfirmationToken(name, schema),
+    title: annotations.title,
+    annotations,
+  };
+}
+
+export async function loadCatalogue({ profile, readOnly } = {}) {
+  const { backend, tools: remoteTools, warnings } = await handshake();
+  const discovery = await discoverTools(
+    bundledToolGroups,
+    discoverySettings(),
+    remoteTools
+  );
+  const { toolGroups, prompts, hidden } = hideUnsupported(
+    { toolGroups: discovery.toolGroups, prompts: bundledPrompts },
+    backend
+  );
+  const selection = selectionSettings({ profile, readOnly });
+  const { tools, summary } = selectTools(toolGroups, selection);
+  const unmatched = unmatchedPatterns(toolGroups, [
+    ...selection.profiles.flatMap((p) => [...p.include, ...p.exclude]),
+    ...selection.include,
+    ...selection.exclude,
+  ]);
+  return {
+    selection,
+    summary,
+    unmatched,
+    backend,
+    hidden,
+    discovered: discovery.discovered,
+    warnings: [...warnings, discovery.warning].filter(Boolean),
+    tools: tools.map((tool) => ({
+      name: tool.name,
+      group: groupOf(tool.name),
+      config: toolConfig(tool),
+      func: withOutputSchema(tool.name, instrumentTool(tool.name, tool.func)),
+    })),
+    prompts,
+  };
+}
+
+/**
+ * Log the selected tools to stderr.
+ */
+export function logCatalogue({
+  selection,
+  summary,
+  unmatched,
+  backend,
+  hidden,
+  discovered,
+  warnings,
+  tools,
+}) {
+  if (backend) {
+    console.error(
+      `Web Apps: ${backend.name || "unknown"} ${
+        backend.version || "(unknown version)"
+      }, protocol ${backend.protocolVersion || "unknown"}`
+    );
+  }
+  for (const warning of warnings) {
+    console.error(warning);
+  }
+  if (hidden.length > 0) {
+    console.error(
+      `${
+        hidden.length
+      } tools and prompts are hidden because Web Apps doesn't support them: ${hidden.join(
+        ", "
+      )}`
+    );
+  }
+  if (discovered.length > 0) {
+    console.error(
+      `${
+        discovered.length
+      } tools were discovered from Web Apps: ${discovered.join(", ")}`
+    );
+  }
+  if (unmatched.length > 0) {
+    console.error(`No tool matches the patterns: ${unmatched.join(", ")}`);
+  }
+  if (selection.profiles.length > 0) {
+    console.error(
+      `Profile: ${selection.profiles.map((p) => p.name).join(", ")}`
+    );
+  }
+  if (selection.readOnly) {
+    console.error(
+      "Read-only mode: the write and destructive tools are not registered."
+    );
+  }
+  console.error(
+    `${tools.length} tools are registered: ${summary.join(", ") || "none"}`
+  );
+}
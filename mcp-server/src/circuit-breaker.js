@@ -0,0 +1,88 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { envNumber } from "./config.js";
+import { ErrorCode, ToolError } from "./errors.js";
+import { endpointsFor } from "./endpoints.js";
+
+/**
+ * Circuit breaker of the calls to Web Apps.
+ * A breaker is used for each set of endpoints, so the dedicated deployments of "MCP_WEB_APPS_ROUTES" have their own breakers.
+ * After "MCP_CIRCUIT_FAILURE_THRESHOLD" transient failures in a row, the breaker opens and the calls fail fast.
+ * After "MCP_CIRCUIT_RESET_MS", one call is sent as a probe (half-open). When the probe succeeds, the breaker is closed.
+ */
+
+const failureThreshold = Math.max(
+  1,
+  envNumber("MCP_CIRCUIT_FAILURE_THRESHOLD", 5)
+);
+const resetMs = envNumber("MCP_CIRCUIT_RESET_MS", 30000);
+
+const breakers_ = new Map();
+
+function breakerFor_(name) {
+  const key = endpointsFor(name).join(",");
+  if (!breakers_.has(key)) {
+    breakers_.set(key, {
+      state: "closed",
+      failures: 0,
+      openedAt: 0,
+      probing: false,
+    });
+  }
+  return breakers_.get(key);
+}
+
+/**
+ * Enter the breaker for a call of the tool "name".
+ * When the breaker is open, ToolError of CIRCUIT_OPEN is thrown.
+ * The error of the call (null for success) is required to be given to "settle" of the returned permit.
+ */
+export function enterCircuit(name) {
+  const breaker = breakerFor_(name);
+  let probe = false;
+  if (breaker.state === "open") {
+    const waitMs = breaker.openedAt + resetMs - Date.now();
+    if (waitMs > 0) {
+      throw new ToolError(
+        ErrorCode.CIRCUIT_OPEN,
+        `The circuit breaker is open after ${failureThreshold} failures in a row. The next attempt is allowed in ${Math.ceil(
+          waitMs / 1000
+        )} seconds.`
+      );
+    }
+    breaker.state = "half-open";
+  }
+  if (breaker.state === "half-open") {
+    if (breaker.probing) {
+      throw new ToolError(
+        ErrorCode.CIRCUIT_OPEN,
+        "The circuit breaker is half-open, and a probe call is running."
+      );
+    }
+    breaker.probing = true;
+    probe = true;
+  }
+  return {
+    settle(error) {
+      if (probe) {
+        breaker.probing = false;
+      }
+      if (error?.code === ErrorCode.CANCELLED) {
+        return;
+      }
+      if (error?.retryable) {
+        breaker.failures++;
+        if (probe || breaker.failures >= failureThreshold) {
+          breaker.state = "open";
+          breaker.openedAt = Date.now();
+        }
+        return;
+      }
+      breaker.state = "closed";
+      breaker.failures = 0;
+    },
+  };
+}
@@ -0,0 +1,281 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+
+/**
+ * CLI for calling the tools of this extension from the shell scripts and the cron jobs without an MCP client.
+ * The tools are the same as the MCP server, including the profiles and the read-only mode,
+ * and the calls go through the same pipeline as the MCP server.
+ *
+ * Usage:
+ *   node src/cli.js list [--output json|pretty]
+ *   node src/cli.js describe <tool> [--output json|pretty]
+ *   node src/cli.js call <tool> [--args '{...}' | --args-file <file>] [--output json|pretty|raw] [--confirm]
+ *   node src/cli.js check-backend [<tool>...] [--output json|pretty]
+ *
+ * The confirmation tokens of the destructive tools are kept in the memory of the process, so a token cannot be used
+ * in the next run. Without "--confirm", only the preview is returned. With "--confirm", the preview is written to stderr
+ * and the tool is called with the token in the same run.
+ *
+ * The exit code is 0 on success, 1 when the tool returns an error or the backend is not compatible, 2 for the wrong usage,
+ * and 3 when only the preview is returned because "--confirm" is not given.
+ */
+
+const USAGE = `Usage:
+  cli.js list [--output json|pretty]
+  cli.js describe <tool> [--output json|pretty]
+  cli.js call <tool> [--args '{...}' | --args-file <file>] [--output json|pretty|raw] [--confirm]
+  cli.js check-backend [<tool>...] [--output json|pretty]
+
+Options:
+  --profile <names>  Profiles of the tools like "teacher" or "assistant,analyst".
+  --read-only        Only the read tools are available.
+  --confirm          Run the tool requiring the confirmation, like removing files or sending emails.
+                     The preview is written to stderr, and the tool is called in the same run.
+                     Without this, only the preview is returned with the exit code 3, because the
+                     confirmation token cannot be used in the next run.`;
+
+// The CLI waits for the long-running tools, because the background jobs would be stopped when the process exits.
+process.env.MCP_ASYNC_JOBS = "false";
+const { loadCatalogue } = await import("./catalogue.js");
+const { toolGroups } = await import("./tools.js");
+const { checkCompatibility, compatibilityText } = await import(
+  "./compatibility.js"
+);
+const { UsageError, errorText, toToolError } = await import("./errors.js");
+const { shutdownTelemetry } = await import("./telemetry.js");
+
+function parseCommandLine_() {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        args: { type: "string" },
+        "args-file": { type: "string" },
+        output: { type: "string" },
+        profile: { type: "string" },
+        "read-only": { type: "boolean" },
+        confirm: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch ({ message }) {
+    throw new UsageError(message);
+  }
+}
+
+function findTool_(tools, name) {
+  if (!name) {
+    throw new UsageError("Please give the tool name.");
+  }
+  const tool = tools.find((t) => t.name === name);
+  if (!tool) {
+    throw new UsageError(
+      `The tool "${name}" is not found. The available tools can be confirmed with "list".`
+    );
+  }
+  return tool;
+}
+
+function describe_({ name, group, config }) {
+  return {
+    name,
+    group,
+    title: config.title,
+    description: config.description,
+    inputSchema: zodToJsonSchema(z.object(config.inputSchema || {}), {
+      strictUnions: true,
+    }),
+    annotations: config.annotations,
+  };
+}
+
+function readArguments_(values) {
+  if (values.args !== undefined && values["args-file"] !== undefined) {
+    throw new UsageError(`Please use either "--args" or "--args-file".`);
+  }
+  let text = values.args ?? "{}";
+  if (values["args-file"] !== undefined) {
+    try {
+      text =
+        values["args-file"] === "-"
+          ? readFileSync(0, "utf8")
+          : readFileSync(values["args-file"], "utf8");
+    } catch ({ message }) {
+      throw new UsageError(`The arguments file could not be read. ${message}`);
+    }
+  }
+  try {
+    return JSON.parse(text);
+  } catch ({ message }) {
+    throw new UsageError(`The arguments are required to be JSON. ${message}`);
+  }
+}
+
+function validate_(tool, args) {
+  const parsed = z
+    .object(tool.config.inputSchema || {})
+    .strict()
+    .safeParse(args);
+  if (!parsed.success) {
+    const issues = parsed.error.issues
+      .map((i) => `  ${i.path.join(".") || "(arguments)"}: ${i.message}`)
+      .join("\n");
+    throw new UsageError(`Invalid arguments for "${tool.name}".\n${issues}`);
+  }
+  return parsed.data;
+}
+
+function textOf_(result) {
+  return (result.content || [])
+    .map((c) => (c.type === "text" ? c.text : `[${c.type}]`))
+    .join("\n");
+}
+
+function print_(value) {
+  console.log(
+    typeof value === "string" ? value : JSON.stringify(value, null, 2)
+  );
+}
+
+async function call_(tool, args, output, confirm) {
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  const extra = {
+    signal: controller.signal,
+    _meta: { progressToken: "cli" },
+    sendNotification: async ({ method, params }) => {
+      if (method === "notifications/progress") {
+        console.error(
+          `Progress: ${params.progress}${
+            params.total ? `/${params.total}` : ""
+          }${params.message ? ` ${params.message}` : ""}`
+        );
+      }
+    },
+  };
+  let result = await tool.func(args, extra);
+  const confirmationToken = result.structuredContent?.confirmationToken;
+  if (confirmationToken && confirm) {
+    console.error(JSON.stringify(result.structuredContent.preview, null, 2));
+    result = await tool.func({ ...args, confirmationToken }, extra);
+  }
+  if (output === "raw") {
+    print_(result.structuredContent ?? textOf_(result));
+  } else if (output === "pretty") {
+    print_(textOf_(result));
+  } else {
+    print_(result);
+  }
+  if (confirmationToken && !confirm) {
+    console.error(
+      `"${tool.name}" requires the confirmation, and nothing has been changed. Please confirm the preview and run the same command with "--confirm".`
+    );
+    return 3;
+  }
+  return result.isError ? 1 : 0;
+}
+
+/**
+ * Compare the tools of tools.js with the tools of Web Apps (compatibility.js).
+ */
+async function checkBackend_(names, output) {
+  let report;
+  try {
+    report = await checkCompatibility(toolGroups, { names });
+  } catch (err) {
+    console.error(errorText(toToolError(err)));
+    return 1;
+  }
+  print_(output === "pretty" ? compatibilityText(report) : report);
+  return report.compatible ? 0 : 1;
+}
+
+async function main_() {
+  const { values, positionals } = parseCommandLine_();
+  const [command, name] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+  const output = values.output || "json";
+  const outputs =
+    command === "call" ? ["json", "pretty", "raw"] : ["json", "pretty"];
+  if (!outputs.includes(output)) {
+    throw new UsageError(
+      `"--output" of "${command}" is required to be ${outputs.join(", ")}.`
+    );
+  }
+  if (command === "check-backend") {
+    return await checkBackend_(positionals.slice(1), output);
+  }
+  const { tools, warnings } = await loadCatalogue({
+    profile: values.profile,
+    readOnly: values["read-only"],
+  });
+  for (const warning of warnings) {
+    console.error(warning);
+  }
+  switch (command) {
+    case "list":
+      print_(
+        output === "pretty"
+          ? tools
+              .map(({ name, config }) => `${name}\t${config.title}`)
+              .join("\n")
+          : tools.map(describe_)
+      );
+      return 0;
+    case "describe": {
+      const tool = describe_(findTool_(tools, name));
+      if (output === "pretty") {
+        const { properties = {}, required = [] } = tool.inputSchema;
+        print_(
+          [
+            `${tool.name} (${tool.title})`,
+            `Group: ${tool.group}`,
+            "",
+            tool.description,
+            "",
+            "Arguments:",
+            ...Object.entries(properties).map(
+              ([key, p]) =>
+                `  ${key}${required.includes(key) ? "" : "?"}: ${
+                  p.type || "any"
+                }${p.description ? ` - ${p.description}` : ""}`
+            ),
+          ].join("\n")
+        );
+      } else {
+        print_(tool);
+      }
+      return 0;
+    }
+    case "call": {
+      const tool = findTool_(tools, name);
+      return await call_(
+        tool,
+        validate_(tool, readArguments_(values)),
+        output,
+        values.confirm
+      );
+    }
+    default:
+      throw new UsageError(`Unknown command "${command}".\n\n${USAGE}`);
+  }
+}
+
+// "process.exitCode" is used instead of "process.exit()", so that the long output to a pipe is not cut off.
+try {
+  process.exitCode = await main_();
+} catch (err) {
+  console.error(err instanceof UsageError ? err.message : err);
+  process.exitCode = err instanceof UsageError ? 2 : 1;
+}
+await shutdownTelemetry();
@@ -0,0 +1,246 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { DISCOVERED_GROUP, listRemoteTools } from "./discovery.js";
+import { LOCAL_TOOL_GROUPS } from "./groups.js";
+import { backendInfo } from "./backend.js";
+
+/**
+ * Detection of the drift between the schemas of tools.js and the tools of Web Apps returned by "tools/list".
+ * The tools of the extension itself like "job_status" are not sent to Web Apps, so those are not checked.
+ *
+ * Each difference has "kind":
+ * - parameter_missing_in_backend: The argument is in tools.js but not in Web Apps, like a renamed argument.
+ * - parameter_missing_locally: The argument is in Web Apps but not in tools.js.
+ * - type_mismatch: The types of the argument are different. "integer" is the same as "number".
+ * - required_mismatch: The argument is required in one side and optional in the other side.
+ * - enum_mismatch: The values of the enum are different. "local" and "remote" are the values only in each side.
+ */
+
+const LOCAL_GROUPS = [...LOCAL_TOOL_GROUPS, DISCOVERED_GROUP];
+
+function jsonSchemaOf_(shape) {
+  return zodToJsonSchema(z.object(shape || {}), { $refStrategy: "none" });
+}
+
+function typesOf_(schema = {}) {
+  if (Array.isArray(schema.enum)) {
+    return [
+      ...new Set(schema.enum.map((e) => (e === null ? "null" : typeof e))),
+    ];
+  }
+  const union = schema.anyOf || schema.oneOf;
+  if (Array.isArray(union)) {
+    return [...new Set(union.flatMap(typesOf_))].sort();
+  }
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    return typesOf_(Object.assign({}, ...allOf, rest));
+  }
+  const types = [].concat(schema.type || (schema.properties ? "object" : []));
+  return [
+    ...new Set(types.map((t) => (t === "integer" ? "number" : t))),
+  ].sort();
+}
+
+function enumOf_(schema = {}) {
+  if (Array.isArray(schema.enum)) {
+    return schema.enum;
+  }
+  return Array.isArray(schema.allOf)
+    ? enumOf_(Object.assign({}, ...schema.allOf))
+    : null;
+}
+
+function compareSchema_(path, local, remote, differences) {
+  const localTypes = typesOf_(local);
+  const remoteTypes = typesOf_(remote);
+  if (
+    localTypes.length > 0 &&
+    remoteTypes.length > 0 &&
+    localTypes.join() !== remoteTypes.join()
+  ) {
+    differences.push({
+      path,
+      kind: "type_mismatch",
+      local: localTypes.join(" | "),
+      remote: remoteTypes.join(" | "),
+    });
+    return;
+  }
+  const localEnum = enumOf_(local);
+  const remoteEnum = enumOf_(remote);
+  if (localEnum && remoteEnum) {
+    const onlyLocal = localEnum.filter((e) => !remoteEnum.includes(e));
+    const onlyRemote = remoteEnum.filter((e) => !localEnum.includes(e));
+    if (onlyLocal.length > 0 || onlyRemote.length > 0) {
+      differences.push({
+        path,
+        kind: "enum_mismatch",
+        local: onlyLocal,
+        remote: onlyRemote,
+      });
+    }
+  }
+  if (localTypes.includes("object") && remoteTypes.includes("object")) {
+    compareProperties_(path, local, remote, differences);
+  }
+  if (
+    localTypes.includes("array") &&
+    remoteTypes.includes("array") &&
+    local.items &&
+    remote.items
+  ) {
+    compareSchema_(`${path}[]`, local.items, remote.items, differences);
+  }
+}
+
+function compareProperties_(path, local, remote, differences) {
+  const localProperties = local.properties || {};
+  const remoteProperties = remote.properties || {};
+  const localRequired = new Set(local.required || []);
+  const remoteRequired = new Set(remote.required || []);
+  const keys = new Set([
+    ...Object.keys(localProperties),
+    ...Object.keys(remoteProperties),
+  ]);
+  for (const key of keys) {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (!Object.hasOwn(remoteProperties, key)) {
+      differences.push({
+        path: keyPath,
+        kind: "parameter_missing_in_backend",
+        local: localRequired.has(key) ? "required" : "optional",
+        remote: null,
+      });
+    } else if (!Object.hasOwn(localProperties, key)) {
+      differences.push({
+        path: keyPath,
+        kind: "parameter_missing_locally",
+        local: null,
+        remote: remoteRequired.has(key) ? "required" : "optional",
+      });
+    } else {
+      if (localRequired.has(key) !== remoteRequired.has(key)) {
+        differences.push({
+          path: keyPath,
+          kind: "required_mismatch",
+          local: localRequired.has(key) ? "required" : "optional",
+          remote: remoteRequired.has(key) ? "required" : "optional",
+        });
+      }
+      compareSchema_(
+        keyPath,
+        localProperties[key],
+        remoteProperties[key],
+        differences
+      );
+    }
+  }
+}
+
+/**
+ * Compare the tools of "toolGroups" with the tools of Web Apps.
+ * When "names" is given, only those tools are checked. When Web Apps cannot be reached, the error is thrown.
+ */
+export async function checkCompatibility(toolGroups, { names } = {}) {
+  const remoteTools = await listRemoteTools();
+  const wanted =
+    names?.length > 0 ? (name) => names.includes(name) : () => true;
+  const localTools = Object.entries(toolGroups)
+    .filter(([group]) => !LOCAL_GROUPS.includes(group))
+    .flatMap(([, tools]) => tools)
+    .filter(({ name }) => wanted(name));
+  const remoteByName = new Map(
+    remoteTools
+      .filter(({ name }) => wanted(name))
+      .map((tool) => [tool.name, tool])
+  );
+  const localNames = new Set(localTools.map(({ name }) => name));
+  const missingTools = [];
+  const mismatches = [];
+  for (const { name, schema } of localTools) {
+    const remote = remoteByName.get(name);
+    if (!remote) {
+      missingTools.push(name);
+      continue;
+    }
+    const differences = [];
+    compareProperties_(
+      "",
+      jsonSchemaOf_(schema.inputSchema),
+      remote.inputSchema || {},
+      differences
+    );
+    mismatches.push(...differences.map((d) => ({ tool: name, ...d })));
+  }
+  const extraTools = [...remoteByName.keys()].filter(
+    (name) => !localNames.has(name)
+  );
+  return {
+    compatible: missingTools.length === 0 && mismatches.length === 0,
+    checkedAt: new Date().toISOString(),
+    backend: backendInfo(),
+    localTools: localTools.length,
+    backendTools: remoteByName.size,
+    missingTools,
+    extraTools,
+    mismatches,
+  };
+}
+
+function valueText_(value) {
+  return Array.isArray(value)
+    ? value.map((e) => JSON.stringify(e)).join(", ") || "none"
+    : String(value ?? "none");
+}
+
+/**
+ * Text of the report for the agent and the CLI.
+ */
+export function compatibilityText(report) {
+  const { backend } = report;
+  const lines = [
+    ...(backend
+      ? [
+          `Web Apps: ${backend.name || "unknown"} ${
+            backend.version || "(unknown version)"
+          }, protocol ${backend.protocolVersion || "unknown"}`,
+        ]
+      : []),
+    `${report.localTools} local tools were compared with ${report.backendTools} tools of Web Apps.`,
+    report.compatible
+      ? "The local definitions are compatible with Web Apps."
+      : "The local definitions are not compatible with Web Apps.",
+  ];
+  if (report.missingTools.length > 0) {
+    lines.push(
+      `Tools missing in Web Apps (${
+        report.missingTools.length
+      }): ${report.missingTools.join(", ")}`
+    );
+  }
+  if (report.extraTools.length > 0) {
+    lines.push(
+      `Tools only in Web Apps (${
+        report.extraTools.length
+      }): ${report.extraTools.join(", ")}`
+    );
+  }
+  if (report.mismatches.length > 0) {
+    lines.push(`Schema differences (${report.mismatches.length}):`);
+    lines.push(
+      ...report.mismatches.map(
+        ({ tool, path, kind, local, remote }) =>
+          `- ${tool} "${path}": ${kind} (local: ${valueText_(
+            local
+          )}, Web Apps: ${valueText_(remote)})`
+      )
+    );
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,98 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+/**
+ * Helpers for reading the optional settings of this extension from the environmental variables.
+ */
+
+export function envString(key, defaultValue = "") {
+  const value = process.env[key];
+  return value === undefined || value.trim() === ""
+    ? defaultValue
+    : value.trim();
+}
+
+export function envNumber(key, defaultValue) {
+  const value = envString(key);
+  if (value === "") {
+    return defaultValue;
+  }
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error(
+      `"${key}" of the environmental variables is required to be a non-negative number. The current value is "${value}".`
+    );
+  }
+  return n;
+}
+
+export function envBoolean(key, defaultValue = false) {
+  const value = envString(key).toLowerCase();
+  if (value === "") {
+    return defaultValue;
+  }
+  return ["1", "true", "yes", "on"].includes(value);
+}
+
+export function envList(key) {
+  return envString(key)
+    .split(",")
+    .map((e) => e.trim())
+    .filter(Boolean);
+}
+
+export function envJSON(key, defaultValue = {}) {
+  const value = envString(key);
+  if (value === "") {
+    return defaultValue;
+  }
+  try {
+    return JSON.parse(value);
+  } catch ({ message }) {
+    throw new Error(
+      `"${key}" of the environmental variables is required to be JSON. ${message}`
+    );
+  }
+}
+
+/**
+ * Directory for the local state of this extension like the usage ledger.
+ */
+export function stateDir() {
+  return envString(
+    "MCP_STATE_DIR",
+    join(homedir(), ".tools-for-mcp-server-extension")
+  );
+}
+
+/**
+ * Config file of this extension. This is "MCP_CONFIG_FILE" or "config.json" in the state directory.
+ * When the file doesn't exist, an empty object is returned.
+ */
+export function readConfigFile() {
+  const file = envString("MCP_CONFIG_FILE", join(stateDir(), "config.json"));
+  let text;
+  try {
+    text = readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT" && !envString("MCP_CONFIG_FILE")) {
+      return {};
+    }
+    throw new Error(
+      `The config file "${file}" could not be read. ${err.message}`
+    );
+  }
+  try {
+    return JSON.parse(text);
+  } catch ({ message }) {
+    throw new Error(
+      `The config file "${file}" is required to be JSON. ${message}`
+    );
+  }
+}
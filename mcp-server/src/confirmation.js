@@ -0,0 +1,111 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { createHash, randomUUID } from "node:crypto";
+import { z } from "zod";
+import { envBoolean, envNumber } from "./config.js";
+import { ErrorCode, ToolError } from "./errors.js";
+import { metadataFor } from "./metadata.js";
+
+/**
+ * Two-phase protocol of the tools declaring "confirm" in metadata.js.
+ * The first call doesn't change anything. It returns a preview of the targets from Web Apps and a confirmation token.
+ * Only the second call with the same arguments and the token runs the tool. Each token can be used once,
+ * and it expires after "MCP_CONFIRMATION_TTL_MS".
+ * The preview is requested with the method "tools/preview" (apps-script/PreviewDestructiveCall.gs).
+ */
+
+const enabled = envBoolean("MCP_CONFIRM_DESTRUCTIVE", true);
+const ttlMs = envNumber("MCP_CONFIRMATION_TTL_MS", 300000);
+
+const tokens_ = new Map();
+
+export function requiresConfirmation(name) {
+  return enabled && metadataFor(name).confirm;
+}
+
+/**
+ * Add the argument "confirmationToken" to the schema of the tool requiring the confirmation.
+ */
+export function withConfirmationToken(name, schema) {
+  if (!requiresConfirmation(name)) {
+    return schema;
+  }
+  return {
+    ...schema,
+    description: `${schema.description} This tool changes nothing at the first call, and returns a preview and "confirmationToken". After the user confirms the preview, call this tool again with the same arguments and "confirmationToken".`,
+    inputSchema: {
+      ...schema.inputSchema,
+      confirmationToken: z
+        .string()
+        .describe(
+          "Confirmation token returned with the preview. Don't set this at the first call."
+        )
+        .optional(),
+    },
+  };
+}
+
+function stableStringify_(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify_).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify_(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function digest_(name, args) {
+  return createHash("sha256")
+    .update(`${name}\n${stableStringify_(args)}`)
+    .digest("hex");
+}
+
+function removeExpired_(now) {
+  for (const [token, { expiresAt }] of tokens_) {
+    if (expiresAt <= now) {
+      tokens_.delete(token);
+    }
+  }
+}
+
+/**
+ * Issue a confirmation token for the call of the tool with the arguments.
+ */
+export function issueConfirmation(name, args) {
+  const now = Date.now();
+  removeExpired_(now);
+  const token = randomUUID();
+  const expiresAt = now + ttlMs;
+  tokens_.set(token, { digest: digest_(name, args), expiresAt });
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Use the confirmation token. When the token is unknown, expired, or issued for another call,
+ * ToolError of CONFIRMATION_INVALID is thrown.
+ */
+export function consumeConfirmation(name, args, token) {
+  const now = Date.now();
+  removeExpired_(now);
+  const entry = tokens_.get(token);
+  if (!entry) {
+    throw new ToolError(
+      ErrorCode.CONFIRMATION_INVALID,
+      `The confirmation token of "${name}" is unknown, already used, or expired.`
+    );
+  }
+  if (entry.digest !== digest_(name, args)) {
+    throw new ToolError(
+      ErrorCode.CONFIRMATION_INVALID,
+      `The confirmation token was issued for another tool or other arguments than this call of "${name}".`
+    );
+  }
+  tokens_.delete(token);
+}
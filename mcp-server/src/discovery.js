@@ -0,0 +1,131 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { envBoolean, envNumber, readConfigFile } from "./config.js";
+import { registerToolGroups } from "./groups.js";
+import { zodShapeOf } from "./json-schema.js";
+import { registerMetadata } from "./metadata.js";
+import { request_, requestWebApps } from "./request.js";
+
+/**
+ * Discovery of the tools from "tools/list" of Web Apps.
+ * When "MCP_TOOL_DISCOVERY" or "discovery" of the config file is true, the tools of the Google Apps Script project
+ * are listed at startup, so that the tools added to the project can be used without updating this extension.
+ *
+ * The definitions in tools.js are the local overrides. When a tool is both in tools.js and in "tools/list",
+ * the definition in tools.js is used because it has the output schema and the metadata.
+ * The tools only in "tools/list" are added to the group "tools_discovered", and their metadata is made from
+ * the annotations returned by Web Apps. When Web Apps cannot be reached, only the tools of tools.js are used.
+ */
+
+export const DISCOVERED_GROUP = "tools_discovered";
+
+export function discoverySettings(config = readConfigFile()) {
+  return {
+    enabled: envBoolean("MCP_TOOL_DISCOVERY", config.discovery === true),
+    timeoutMs: envNumber("MCP_TOOL_DISCOVERY_TIMEOUT_MS", 10000),
+  };
+}
+
+/**
+ * Convert the annotations of MCP to the metadata of metadata.js.
+ * "readOnlyHint" is not trusted because it comes from Web Apps, so a discovered tool is handled as "write"
+ * and is not registered in the read-only mode. It can be made "read" by "access" of TOOL_METADATA in metadata.js.
+ * When "destructiveHint" is true, the call requires the confirmation.
+ */
+function metadataOf_({ title, annotations = {} }) {
+  const access = annotations.destructiveHint === true ? "destructive" : "write";
+  return {
+    access,
+    confirm: access === "destructive",
+    ...(typeof annotations.idempotentHint === "boolean"
+      ? { idempotent: annotations.idempotentHint }
+      : {}),
+    ...(typeof annotations.openWorldHint === "boolean"
+      ? { openWorld: annotations.openWorldHint }
+      : {}),
+    ...(title || annotations.title
+      ? { title: title || annotations.title }
+      : {}),
+  };
+}
+
+function toTool_({ name, description = "", inputSchema }) {
+  return {
+    name,
+    schema: { description, inputSchema: zodShapeOf(inputSchema) },
+    func: async (object = {}, extra) =>
+      await request_({ name, method: "tools/call", body: object, extra }),
+  };
+}
+
+/**
+ * List the tools with "tools/list" of Web Apps. The pages are followed with "nextCursor".
+ */
+export async function listRemoteTools({ timeoutMs } = discoverySettings()) {
+  const deadline = Date.now() + timeoutMs;
+  const tools = [];
+  let cursor;
+  do {
+    const result = await requestWebApps(
+      "tools/list",
+      cursor ? { cursor } : {},
+      { timeoutMs: Math.max(1, deadline - Date.now()) }
+    );
+    if (!Array.isArray(result?.tools)) {
+      throw new Error(`"tools/list" of Web Apps returned no "tools".`);
+    }
+    tools.push(...result.tools);
+    cursor = result.nextCursor;
+  } while (cursor);
+  return tools;
+}
+
+/**
+ * Merge the tools discovered from Web Apps with "toolGroups" of tools.js.
+ * When the discovery is disabled or fails, "toolGroups" is returned as it is with the reason in "warning".
+ * When "remoteTools" is given, like the tools listed by the handshake (backend.js), "tools/list" is not called again.
+ */
+export async function discoverTools(
+  toolGroups,
+  settings = discoverySettings(),
+  remoteTools = null
+) {
+  if (!settings.enabled) {
+    return { toolGroups, discovered: [] };
+  }
+  try {
+    remoteTools ??= await listRemoteTools(settings);
+  } catch ({ message }) {
+    return {
+      toolGroups,
+      discovered: [],
+      warning: `The tools could not be discovered from Web Apps, so the bundled definitions are used. ${message}`,
+    };
+  }
+  const localNames = new Set(
+    Object.values(toolGroups)
+      .flat()
+      .map(({ name }) => name)
+  );
+  const discovered = remoteTools.filter(
+    (tool) =>
+      typeof tool?.name === "string" &&
+      !localNames.has(tool.name) &&
+      !/[^a-zA-Z0-9_-]/.test(tool.name)
+  );
+  for (const tool of discovered) {
+    registerMetadata(tool.name, metadataOf_(tool));
+  }
+  const merged = { ...toolGroups };
+  if (discovered.length > 0) {
+    merged[DISCOVERED_GROUP] = discovered.map(toTool_);
+    registerToolGroups({ [DISCOVERED_GROUP]: merged[DISCOVERED_GROUP] });
+  }
+  return {
+    toolGroups: merged,
+    discovered: discovered.map(({ name }) => name),
+  };
+}
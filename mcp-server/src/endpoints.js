@@ -0,0 +1,111 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { envJSON, envNumber, envString } from "./config.js";
+import { settingFor } from "./groups.js";
+import { registerSecret } from "./secrets.js";
+
+/**
+ * Endpoints of Web Apps.
+ * "MCP_WEB_APPS_URL" can include multiple Web Apps URLs separated by commas. This is useful when a quota of
+ * a single deployment is hit. "MCP_WEB_APPS_ROUTES" routes the tool names or the group names to dedicated URLs.
+ * When an endpoint fails "MCP_ENDPOINT_FAILURE_THRESHOLD" times in a row, it is taken out of the rotation
+ * for "MCP_ENDPOINT_COOLDOWN_MS". A retried call is sent to the next endpoint.
+ */
+
+const strategy = envString("MCP_ENDPOINT_STRATEGY", "failover").toLowerCase();
+const failureThreshold = Math.max(
+  1,
+  envNumber("MCP_ENDPOINT_FAILURE_THRESHOLD", 2)
+);
+const cooldownMs = envNumber("MCP_ENDPOINT_COOLDOWN_MS", 60000);
+
+if (!["failover", "round-robin"].includes(strategy)) {
+  throw new Error(
+    `"MCP_ENDPOINT_STRATEGY" of the environmental variables is required to be "failover" or "round-robin". The current value is "${strategy}".`
+  );
+}
+
+function parseURLs_(value) {
+  const urls = (Array.isArray(value) ? value : String(value).split(","))
+    .map((e) => e.trim())
+    .filter(Boolean);
+  for (const url of urls) {
+    try {
+      registerSecret(new URL(url).searchParams.get("accessKey"));
+    } catch {
+      throw new Error(`"${url}" is not a valid Web Apps URL.`);
+    }
+  }
+  return urls;
+}
+
+const endpoints_ = parseURLs_(envString("MCP_WEB_APPS_URL"));
+
+if (endpoints_.length === 0) {
+  throw new Error(
+    `Please set your Web Apps URL to "MCP_WEB_APPS_URL" of the environmental variables.`
+  );
+}
+
+const routes_ = Object.fromEntries(
+  Object.entries(envJSON("MCP_WEB_APPS_ROUTES")).map(([key, value]) => [
+    key,
+    parseURLs_(value),
+  ])
+);
+
+const health_ = new Map();
+let cursor_ = 0;
+
+export function endpointsFor(name) {
+  const routed = settingFor(routes_, name);
+  return routed?.length ? routed : endpoints_;
+}
+
+function isAvailable_(url, now) {
+  return (health_.get(url)?.until || 0) <= now;
+}
+
+/**
+ * Create the route of a call. Each "next()" returns the endpoint for the next attempt.
+ * The endpoints in the cooldown are skipped. When all endpoints are in the cooldown,
+ * the endpoint whose cooldown ends first is used.
+ */
+export function createRoute(name) {
+  const candidates = endpointsFor(name);
+  const offset = strategy === "round-robin" ? cursor_++ : 0;
+  let step = 0;
+  return {
+    next() {
+      const now = Date.now();
+      const ordered = candidates.map(
+        (_, i) => candidates[(offset + step + i) % candidates.length]
+      );
+      step++;
+      const available = ordered.find((url) => isAvailable_(url, now));
+      if (available) {
+        return available;
+      }
+      return [...ordered].sort(
+        (a, b) => health_.get(a).until - health_.get(b).until
+      )[0];
+    },
+  };
+}
+
+export function reportSuccess(url) {
+  health_.delete(url);
+}
+
+export function reportFailure(url) {
+  const state = health_.get(url) || { failures: 0, until: 0 };
+  state.failures++;
+  if (state.failures >= failureThreshold) {
+    state.until = Date.now() + cooldownMs;
+    state.failures = 0;
+  }
+  health_.set(url, state);
+}
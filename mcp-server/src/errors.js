@@ -0,0 +1,187 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+/**
+ * Error model of this extension.
+ * Each error has a stable code, whether it is retryable, and a remediation hint.
+ * The error is returned to the client as "structuredContent" with "isError: true",
+ * so that the agent can react to the error programmatically.
+ */
+
+export const ErrorCode = {
+  NETWORK: "NETWORK_ERROR",
+  TIMEOUT: "TIMEOUT",
+  CANCELLED: "CANCELLED",
+  AUTH: "AUTH_REJECTED",
+  APPS_SCRIPT: "APPS_SCRIPT_EXCEPTION",
+  QUOTA: "QUOTA_EXCEEDED",
+  HTML_LOGIN: "HTML_LOGIN_PAGE",
+  FUNCTION_NOT_FOUND: "SCRIPT_FUNCTION_NOT_FOUND",
+  AUTHORIZATION_REQUIRED: "AUTHORIZATION_REQUIRED",
+  DEPLOYMENT_NOT_FOUND: "DEPLOYMENT_NOT_FOUND",
+  HTML_ERROR_PAGE: "HTML_ERROR_PAGE",
+  INVALID_JSON: "INVALID_JSON",
+  HTTP: "HTTP_ERROR",
+  CIRCUIT_OPEN: "CIRCUIT_OPEN",
+  QUEUE_FULL: "QUEUE_FULL",
+  CONFIRMATION_INVALID: "CONFIRMATION_INVALID",
+  RESULT_MISMATCH: "RESULT_SCHEMA_MISMATCH",
+};
+
+const DEFINITIONS = {
+  [ErrorCode.NETWORK]: {
+    retryable: true,
+    hint: `Web Apps could not be reached. Please confirm the network and "MCP_WEB_APPS_URL".`,
+  },
+  [ErrorCode.TIMEOUT]: {
+    retryable: true,
+    hint: `Please try again later, or increase the timeout with "MCP_REQUEST_TIMEOUT_MS" or "MCP_TOOL_TIMEOUTS". The script of Web Apps might still be running.`,
+  },
+  [ErrorCode.CANCELLED]: {
+    retryable: false,
+    hint: "The call was cancelled by the client.",
+  },
+  [ErrorCode.AUTH]: {
+    retryable: false,
+    hint: `Please confirm that "accessKey" of "MCP_WEB_APPS_URL" is the same as the access key in the Google Apps Script project, and that Web Apps is deployed with "Who has access: Anyone". When the request signing is used, please also confirm that "MCP_SIGNING_SECRET" is the same as the script property.`,
+  },
+  [ErrorCode.APPS_SCRIPT]: {
+    retryable: false,
+    hint: "An exception occurred in the script of Web Apps. Please confirm the arguments and the log of the Google Apps Script project.",
+  },
+  [ErrorCode.QUOTA]: {
+    retryable: true,
+    hint: "A quota of Google Apps Script or Google APIs was exceeded. Please wait and try again later.",
+  },
+  [ErrorCode.HTML_LOGIN]: {
+    retryable: false,
+    hint: `Web Apps returned the Google sign-in page. Please deploy Web Apps with "Execute as: Me" and "Who has access: Anyone", and use the Web Apps URL ending with "/exec".`,
+  },
+  [ErrorCode.FUNCTION_NOT_FOUND]: {
+    retryable: false,
+    hint: `The deployed version of Web Apps has no "doPost". Please confirm the Google Apps Script project and deploy a new version of Web Apps with "Deploy" -> "Manage deployments".`,
+  },
+  [ErrorCode.AUTHORIZATION_REQUIRED]: {
+    retryable: false,
+    hint: "The scopes of the Google Apps Script project are not authorized. Please run a function in the script editor to authorize the scopes, and deploy a new version of Web Apps.",
+  },
+  [ErrorCode.DEPLOYMENT_NOT_FOUND]: {
+    retryable: false,
+    hint: `The deployment of Web Apps was not found. Please confirm "MCP_WEB_APPS_URL" and that the deployment has not been archived.`,
+  },
+  [ErrorCode.HTML_ERROR_PAGE]: {
+    retryable: false,
+    hint: "Web Apps returned an HTML error page instead of JSON. Please confirm the deployment and the log of the Google Apps Script project.",
+  },
+  [ErrorCode.INVALID_JSON]: {
+    retryable: false,
+    hint: "Web Apps returned a response which is not valid JSON. Please confirm the deployment of Web Apps.",
+  },
+  [ErrorCode.HTTP]: {
+    retryable: false,
+    hint: "Web Apps returned an unexpected HTTP status.",
+  },
+  [ErrorCode.CIRCUIT_OPEN]: {
+    retryable: true,
+    hint: "Web Apps failed repeatedly, so the calls are stopped for a while to let it recover. Please wait and try again later.",
+  },
+  [ErrorCode.QUEUE_FULL]: {
+    retryable: true,
+    hint: `Too many calls are waiting. Please reduce the number of parallel calls, or increase "MCP_MAX_QUEUE".`,
+  },
+  [ErrorCode.CONFIRMATION_INVALID]: {
+    retryable: false,
+    hint: `Please call the tool again without "confirmationToken" to get a new preview and token, and confirm the preview with the user.`,
+  },
+  [ErrorCode.RESULT_MISMATCH]: {
+    retryable: false,
+    hint: `Web Apps ran the call, but the result doesn't match the output schema of the tool. The response is returned as "raw". Please confirm the version of the Google Apps Script project.`,
+  },
+};
+
+const QUOTA_PATTERN =
+  /Service invoked too many times|quota|rate limit|too many requests|Bandwidth quota exceeded/i;
+const AUTH_PATTERN = /access ?key|unauthori[sz]ed|permission denied/i;
+
+export class ToolError extends Error {
+  constructor(code, message, { status, retryable, hint, cause } = {}) {
+    super(message, { cause });
+    this.name = "ToolError";
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable ?? DEFINITIONS[code].retryable;
+    this.hint = hint ?? DEFINITIONS[code].hint;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      hint: this.hint,
+      ...(this.status ? { status: this.status } : {}),
+    };
+  }
+}
+
+/**
+ * Error of the wrong settings given by the user, like an unknown profile.
+ * The CLI exits with 2 and the MCP server exits with only the message, instead of the stack trace.
+ */
+export class UsageError extends Error {}
+
+export function errorFromStatus(status) {
+  const message = `Web Apps returned the status ${status}.`;
+  if (status === 401 || status === 403) {
+    return new ToolError(ErrorCode.AUTH, message, { status });
+  }
+  if (status === 429) {
+    return new ToolError(ErrorCode.QUOTA, message, { status });
+  }
+  return new ToolError(ErrorCode.HTTP, message, {
+    status,
+    retryable: status === 408 || status >= 500,
+  });
+}
+
+/**
+ * Classify the error message returned from the script of Web Apps.
+ */
+export function errorFromMessage(message) {
+  if (QUOTA_PATTERN.test(message)) {
+    return new ToolError(ErrorCode.QUOTA, message);
+  }
+  if (AUTH_PATTERN.test(message)) {
+    return new ToolError(ErrorCode.AUTH, message);
+  }
+  return new ToolError(ErrorCode.APPS_SCRIPT, message);
+}
+
+/**
+ * Convert any thrown value to ToolError.
+ */
+export function toToolError(err) {
+  if (err instanceof ToolError) {
+    return err;
+  }
+  return new ToolError(ErrorCode.NETWORK, err?.message || String(err), {
+    cause: err,
+  });
+}
+
+export function errorText(error) {
+  return `Error [${error.code}]: ${error.message}\n${error.hint}`;
+}
+
+/**
+ * Build the result of a tool from ToolError.
+ */
+export function errorResult(error) {
+  return {
+    content: [{ type: "text", text: errorText(error) }],
+    structuredContent: { error: error.toJSON() },
+    isError: true,
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+/**
+ * The group of each tool is the name of the array in tools.js including the tool like "tools_management_drive".
+ * This is used for the settings which are given for each group.
+ */
+
+/**
+ * Groups of the tools which are run by this extension itself without Web Apps, like "job_status".
+ */
+export const LOCAL_TOOL_GROUPS = ["tools_management_extension"];
+
+const groupByTool_ = new Map();
+
+export function registerToolGroups(toolGroups) {
+  for (const [group, tools] of Object.entries(toolGroups)) {
+    for (const { name } of tools) {
+      groupByTool_.set(name, group);
+    }
+  }
+}
+
+export function groupOf(name) {
+  return groupByTool_.get(name) || "";
+}
+
+/**
+ * Get the value for the tool from "settings" whose keys are tool names or group names.
+ * The value for the tool name has priority over the value for the group name.
+ */
+export function settingFor(settings, name) {
+  if (Object.hasOwn(settings, name)) {
+    return settings[name];
+  }
+  const group = groupOf(name);
+  if (group && Object.hasOwn(settings, group)) {
+    return settings[group];
+  }
+  return undefined;
+}
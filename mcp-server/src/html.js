@@ -0,0 +1,100 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { ErrorCode, ToolError } from "./errors.js";
+
+/**
+ * Classifier of the HTML pages returned from Web Apps.
+ * When the deployment is stale or unauthorized, or the script throws an error before "doPost" returns JSON,
+ * Google returns an HTML page instead of JSON. Each page is converted to a specific ToolError.
+ */
+
+const RULES = [
+  {
+    code: ErrorCode.HTML_LOGIN,
+    test: (html, text) =>
+      /accounts\.google\.com\/(ServiceLogin|v3\/signin|signin)/i.test(html) ||
+      /Sign in - Google Accounts/i.test(text),
+    message: () => "Web Apps returned the Google sign-in page.",
+  },
+  {
+    code: ErrorCode.FUNCTION_NOT_FOUND,
+    test: (html, text) => /Script function not found/i.test(text),
+    message: (text) => matchLine_(text, /Script function not found[^.]*/i),
+  },
+  {
+    code: ErrorCode.AUTHORIZATION_REQUIRED,
+    test: (html, text) => /Authorization is required/i.test(text),
+    message: () => "Authorization is required to perform that action.",
+  },
+  {
+    code: ErrorCode.DEPLOYMENT_NOT_FOUND,
+    test: (html, text) =>
+      /unable to open the file at this time|Page Not Found/i.test(text),
+    message: () => "The deployment of Web Apps was not found.",
+  },
+  {
+    code: ErrorCode.APPS_SCRIPT,
+    test: (html, text) => /\(line \d+, file "[^"]*"\)/.test(text),
+    message: (text) => matchLine_(text, /\S[^\n]*\(line \d+, file "[^"]*"\)/),
+  },
+];
+
+export function isHTML(text, contentType = "") {
+  return contentType.includes("text/html") || /^\s*</.test(text);
+}
+
+/**
+ * Convert the HTML page to ToolError.
+ * When the page is not a known page, HTML_ERROR_PAGE with the title of the page is returned.
+ */
+export function classifyHTML(html, status) {
+  const text = htmlToText_(html);
+  const options = status && status !== 200 ? { status } : {};
+  for (const { code, test, message } of RULES) {
+    if (test(html, text)) {
+      return new ToolError(code, message(text), options);
+    }
+  }
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const summary = title ? decodeEntities_(title[1]).trim() : text.slice(0, 200);
+  return new ToolError(
+    ErrorCode.HTML_ERROR_PAGE,
+    `Web Apps returned an HTML page${summary ? `: ${summary}` : "."}`,
+    { ...options, retryable: status >= 500 }
+  );
+}
+
+function matchLine_(text, pattern) {
+  const m = text.match(pattern);
+  return m ? m[0].trim() : text.slice(0, 200);
+}
+
+function htmlToText_(html) {
+  return decodeEntities_(
+    html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, "")
+      .replace(/<(br|\/div|\/p|\/title|\/h\d)[^>]*>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .split("\n")
+    .map((e) => e.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+function decodeEntities_(text) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return named[entity.toLowerCase()] ?? m;
+  });
+}
@@ -0,0 +1,218 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { randomUUID, timingSafeEqual } from "node:crypto";
+import { createServer } from "node:http";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { shutdownTelemetry } from "./telemetry.js";
+
+/**
+ * Streamable HTTP transport of this MCP server.
+ * One long-lived process serves multiple clients, so the caches, the quotas and the logs are shared.
+ * Each session has its own McpServer created by "createMcpServer".
+ * When "token" is given, each request is required to have "Authorization: Bearer {token}".
+ *
+ * To protect the server from DNS rebinding, "Host" of each request is required to be the bind address and the port,
+ * or one of "allowedHosts". When "Origin" is given, like the requests from a browser, it is required to be
+ * "http://" with one of those hosts, or one of "allowedOrigins". Without this, a web page could call the tools
+ * through the loopback address, which has no token by default.
+ *
+ * A client can disappear without sending DELETE, so the sessions without a request for "sessionTtlMs" are closed.
+ * A session with an open request, like the stream of GET, is not closed.
+ */
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+const WILDCARD_HOSTS = ["0.0.0.0", "::"];
+
+function hostWithPort_(host, port) {
+  return `${host.includes(":") ? `[${host}]` : host}:${port}`;
+}
+
+/**
+ * Hosts which can be used in "Host" header. When the server is bound to all addresses, only "allowedHosts" can be used.
+ */
+function allowedHostsOf_(host, port, allowedHosts) {
+  const hosts = LOOPBACK_HOSTS.includes(host)
+    ? LOOPBACK_HOSTS
+    : WILDCARD_HOSTS.includes(host)
+    ? []
+    : [host];
+  return [...hosts.map((h) => hostWithPort_(h, port)), ...allowedHosts];
+}
+
+function checkOrigin_(req, hosts, origins) {
+  if (!hosts.includes(req.headers.host)) {
+    return `The host "${req.headers.host}" is not allowed.`;
+  }
+  const { origin } = req.headers;
+  if (
+    origin !== undefined &&
+    !origins.includes(origin) &&
+    !hosts.some((h) => origin === `http://${h}`)
+  ) {
+    return `The origin "${origin}" is not allowed.`;
+  }
+  return null;
+}
+
+function isAuthorized_(req, token) {
+  if (!token) {
+    return true;
+  }
+  const [scheme, value = ""] = (req.headers.authorization || "").split(" ");
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(value);
+  return (
+    scheme?.toLowerCase() === "bearer" &&
+    expected.length === actual.length &&
+    timingSafeEqual(expected, actual)
+  );
+}
+
+function sendError_(res, status, code, message, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(
+    JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null })
+  );
+}
+
+function readBody_(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("The request body is too large."));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve(text ? JSON.parse(text) : undefined);
+      } catch ({ message }) {
+        reject(new Error(`The request body is not valid JSON. ${message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+export function startHttpServer(
+  createMcpServer,
+  {
+    host,
+    port,
+    path,
+    token,
+    allowedHosts = [],
+    allowedOrigins = [],
+    sessionTtlMs = 0,
+  }
+) {
+  if (!token && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(
+      `Please set a bearer token to "MCP_HTTP_TOKEN" of the environmental variables when the HTTP transport is bound to "${host}".`
+    );
+  }
+  const hosts = allowedHostsOf_(host, port, allowedHosts);
+  if (hosts.length === 0) {
+    throw new Error(
+      `Please set the host names of the server like "example.com:${port}" to "MCP_HTTP_ALLOWED_HOSTS" of the environmental variables when the HTTP transport is bound to "${host}".`
+    );
+  }
+  const sessions = new Map();
+  const sweeper =
+    sessionTtlMs > 0 &&
+    setInterval(() => {
+      const expiredAt = Date.now() - sessionTtlMs;
+      for (const session of sessions.values()) {
+        if (session.requests === 0 && session.lastActiveAt < expiredAt) {
+          session.transport.close().catch(() => {});
+        }
+      }
+    }, Math.min(sessionTtlMs, 60000)).unref();
+
+  const httpServer = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== path) {
+      sendError_(res, 404, -32000, "Not found.");
+      return;
+    }
+    const forbidden = checkOrigin_(req, hosts, allowedOrigins);
+    if (forbidden) {
+      sendError_(res, 403, -32000, `Forbidden. ${forbidden}`);
+      return;
+    }
+    if (!isAuthorized_(req, token)) {
+      sendError_(res, 401, -32001, "Unauthorized.", {
+        "WWW-Authenticate": "Bearer",
+      });
+      return;
+    }
+    try {
+      const body = req.method === "POST" ? await readBody_(req) : undefined;
+      const sessionId = req.headers["mcp-session-id"];
+      let session = sessionId ? sessions.get(sessionId) : undefined;
+      if (!session) {
+        if (sessionId || req.method !== "POST" || !isInitializeRequest(body)) {
+          sendError_(
+            res,
+            sessionId ? 404 : 400,
+            -32000,
+            sessionId
+              ? "The session was not found."
+              : "No valid session ID was provided."
+          );
+          return;
+        }
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => sessions.set(id, session),
+        });
+        session = { transport, lastActiveAt: Date.now(), requests: 0 };
+        transport.onclose = () => {
+          if (transport.sessionId) {
+            sessions.delete(transport.sessionId);
+          }
+        };
+        await createMcpServer().connect(transport);
+      }
+      session.requests++;
+      res.once("close", () => {
+        session.requests--;
+        session.lastActiveAt = Date.now();
+      });
+      await session.transport.handleRequest(req, res, body);
+    } catch ({ message }) {
+      if (!res.headersSent) {
+        sendError_(res, 400, -32700, message);
+      }
+    }
+  });
+
+  httpServer.listen(port, host, () => {
+    console.error(
+      `tools-for-mcp-server-extension is listening on http://${host}:${port}${path}`
+    );
+  });
+
+  const shutdown = async () => {
+    clearInterval(sweeper);
+    for (const { transport } of sessions.values()) {
+      await transport.close().catch(() => {});
+    }
+    await shutdownTelemetry();
+    httpServer.close(() => process.exit(0));
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+  return httpServer;
+}
@@ -0,0 +1,210 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { randomUUID } from "node:crypto";
+import {
+  mkdirSync,
+  readFileSync,
+  readdirSync,
+  renameSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
+import { join } from "node:path";
+import { envBoolean, envList, envNumber, stateDir } from "./config.js";
+import { metadataFor } from "./metadata.js";
+import { redact } from "./secrets.js";
+
+/**
+ * Async job mode for the long-running tools.
+ * The call of the tool declaring "async" in metadata.js returns a job ID right away, and the call to Web Apps
+ * continues in the background with "MCP_JOB_TIMEOUT_MS". The agent polls the job with "job_status" and "job_result".
+ * "job_result" can wait for the job while sending the progress notifications.
+ * Each job is stored in "jobs" of the state directory, so the result can be retrieved after the client reconnects.
+ */
+
+const enabled = envBoolean("MCP_ASYNC_JOBS", true);
+const extraAsyncTools = new Set(envList("MCP_ASYNC_TOOLS"));
+export const jobTimeoutMs = envNumber("MCP_JOB_TIMEOUT_MS", 1800000);
+const retentionMs = envNumber("MCP_JOB_RETENTION_MS", 86400000);
+const PROGRESS_INTERVAL_MS = 10000;
+
+const jobsDir = join(stateDir(), "jobs");
+const running_ = new Map();
+
+/**
+ * Return true when the call of the tool is run as a job.
+ * "async" of metadata.js is true, or the name of the argument which makes the call long-running.
+ */
+export function isAsyncCall(name, args = {}) {
+  if (!enabled) {
+    return false;
+  }
+  if (extraAsyncTools.has(name)) {
+    return true;
+  }
+  const { async } = metadataFor(name);
+  return typeof async === "string"
+    ? args[async] !== undefined && args[async] !== ""
+    : Boolean(async);
+}
+
+function save_(job) {
+  mkdirSync(jobsDir, { recursive: true });
+  const file = join(jobsDir, `${job.id}.json`);
+  const temp = `${file}.${process.pid}.tmp`;
+  writeFileSync(temp, JSON.stringify(job));
+  renameSync(temp, file);
+}
+
+function isAlive_(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+export function getJob(id) {
+  if (running_.has(id)) {
+    return running_.get(id).job;
+  }
+  let job;
+  try {
+    job = JSON.parse(readFileSync(join(jobsDir, `${id}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+  if (
+    job.state === "running" &&
+    job.pid !== process.pid &&
+    !isAlive_(job.pid)
+  ) {
+    // The process running the job was stopped before the job finished.
+    job.state = "interrupted";
+    job.updatedAt = new Date().toISOString();
+    save_(job);
+  }
+  return job;
+}
+
+export function listJobs() {
+  let files = [];
+  try {
+    files = readdirSync(jobsDir).filter((f) => f.endsWith(".json"));
+  } catch {
+    return [];
+  }
+  const now = Date.now();
+  const jobs = [];
+  for (const file of files) {
+    const job = getJob(file.replace(/\.json$/, ""));
+    if (!job) {
+      continue;
+    }
+    if (
+      job.state !== "running" &&
+      now - Date.parse(job.updatedAt) > retentionMs
+    ) {
+      rmSync(join(jobsDir, file), { force: true });
+      continue;
+    }
+    jobs.push(job);
+  }
+  return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Start a job running "run" in the background. "run" is required to return the result of the tool.
+ */
+export function startJob(name, args, run) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    tool: name,
+    arguments: redact(args),
+    state: "running",
+    pid: process.pid,
+    createdAt: now,
+    updatedAt: now,
+    result: null,
+  };
+  save_(job);
+  const promise = Promise.resolve()
+    .then(run)
+    .then((result) => {
+      job.state = result?.isError ? "failed" : "succeeded";
+      job.result = result;
+    })
+    .catch((err) => {
+      job.state = "failed";
+      job.result = {
+        content: [{ type: "text", text: redact(err?.message || String(err)) }],
+        isError: true,
+      };
+    })
+    .finally(() => {
+      job.updatedAt = new Date().toISOString();
+      save_(job);
+      running_.delete(job.id);
+    });
+  running_.set(job.id, { job, promise });
+  return job;
+}
+
+/**
+ * Summary of the job without the result.
+ */
+export function jobSummary({ id, tool, state, createdAt, updatedAt }) {
+  const end = state === "running" ? Date.now() : Date.parse(updatedAt);
+  return {
+    jobId: id,
+    tool,
+    state,
+    createdAt,
+    updatedAt,
+    elapsedSeconds: Math.round((end - Date.parse(createdAt)) / 1000),
+  };
+}
+
+/**
+ * Wait until the job finishes or "waitMs" passes.
+ * "onProgress" is called with the elapsed seconds every 10 seconds while waiting.
+ */
+export async function waitForJob(id, { waitMs = 0, signal, onProgress } = {}) {
+  const entry = running_.get(id);
+  if (!entry || waitMs <= 0) {
+    return getJob(id);
+  }
+  let timer;
+  let interval;
+  try {
+    await Promise.race([
+      entry.promise,
+      new Promise((resolve) => {
+        timer = setTimeout(resolve, waitMs);
+        signal?.addEventListener("abort", resolve, { once: true });
+      }),
+      ...(onProgress
+        ? [
+            new Promise(() => {
+              interval = setInterval(
+                () =>
+                  Promise.resolve(onProgress(jobSummary(entry.job))).catch(
+                    () => {}
+                  ),
+                PROGRESS_INTERVAL_MS
+              );
+            }),
+          ]
+        : []),
+    ]);
+  } finally {
+    clearTimeout(timer);
+    clearInterval(interval);
+  }
+  return getJob(id);
+}
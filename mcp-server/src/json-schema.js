@@ -0,0 +1,110 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { z } from "zod";
+
+/**
+ * Conversion of the JSON Schemas returned by "tools/list" of Web Apps to the zod schemas of the MCP SDK.
+ * The keywords used by the schemas of the tools are converted: "type", "properties", "required", "items", "enum",
+ * "const", "anyOf", "oneOf", "allOf", "additionalProperties", "minimum", "maximum", "description" and "default".
+ * The other keywords like "pattern" are ignored, and the values are checked by Web Apps.
+ */
+
+function typed_(type, schema) {
+  switch (type) {
+    case "string":
+      return z.string();
+    case "number":
+    case "integer": {
+      let number = type === "integer" ? z.number().int() : z.number();
+      if (typeof schema.minimum === "number") {
+        number = number.min(schema.minimum);
+      }
+      if (typeof schema.maximum === "number") {
+        number = number.max(schema.maximum);
+      }
+      return number;
+    }
+    case "boolean":
+      return z.boolean();
+    case "null":
+      return z.null();
+    case "array":
+      return z.array(
+        schema.items && !Array.isArray(schema.items)
+          ? zodOf(schema.items)
+          : z.unknown()
+      );
+    case "object": {
+      const object = z.object(zodShapeOf(schema));
+      const { additionalProperties } = schema;
+      if (additionalProperties === false) {
+        return object.strict();
+      }
+      return additionalProperties && typeof additionalProperties === "object"
+        ? object.catchall(zodOf(additionalProperties))
+        : object.passthrough();
+    }
+    default:
+      return z.unknown();
+  }
+}
+
+function union_(schemas) {
+  return schemas.length === 1
+    ? schemas[0]
+    : z.union([schemas[0], schemas[1], ...schemas.slice(2)]);
+}
+
+/**
+ * Convert a JSON Schema to a zod schema.
+ */
+export function zodOf(schema = {}) {
+  let result;
+  if (schema === true || schema === null || typeof schema !== "object") {
+    result = z.unknown();
+  } else if (Object.hasOwn(schema, "const")) {
+    result = z.literal(schema.const);
+  } else if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    result = schema.enum.every((e) => typeof e === "string")
+      ? z.enum(schema.enum)
+      : union_(schema.enum.map((e) => z.literal(e)));
+  } else if (Array.isArray(schema.anyOf || schema.oneOf)) {
+    result = union_((schema.anyOf || schema.oneOf).map(zodOf));
+  } else if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    result = zodOf(Object.assign({}, ...allOf, rest));
+  } else if (Array.isArray(schema.type)) {
+    result = union_(schema.type.map((type) => typed_(type, schema)));
+  } else if (schema.type) {
+    result = typed_(schema.type, schema);
+  } else {
+    result = schema.properties ? typed_("object", schema) : z.unknown();
+  }
+  if (typeof schema?.description === "string") {
+    result = result.describe(schema.description);
+  }
+  return result;
+}
+
+/**
+ * Convert the JSON Schema of an object to the shape of zod used as "inputSchema" of "registerTool".
+ * The properties which are not in "required" are optional.
+ */
+export function zodShapeOf(schema = {}) {
+  const required = new Set(schema.required || []);
+  return Object.fromEntries(
+    Object.entries(schema.properties || {}).map(([key, property]) => {
+      let value = zodOf(property);
+      if (!required.has(key)) {
+        value = value.optional();
+      }
+      if (property && Object.hasOwn(property, "default")) {
+        value = value.default(property.default);
+      }
+      return [key, value];
+    })
+  );
+}
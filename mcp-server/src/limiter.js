@@ -0,0 +1,110 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { envJSON, envNumber } from "./config.js";
+import { ErrorCode, ToolError } from "./errors.js";
+import { groupOf } from "./groups.js";
+
+/**
+ * Concurrency limiter of the calls to Web Apps.
+ * At most "MCP_MAX_CONCURRENCY" calls run at the same time, and the calls of each tool or group
+ * are also limited by "MCP_GROUP_CONCURRENCY". The other calls wait in a FIFO queue.
+ * When the call is cancelled or timed out while waiting, it is removed from the queue.
+ */
+
+const DEFAULT_GROUP_CONCURRENCY = {
+  tools_management_classroom: 4,
+};
+
+const maxConcurrency = Math.max(1, envNumber("MCP_MAX_CONCURRENCY", 8));
+const maxQueue = envNumber("MCP_MAX_QUEUE", 100);
+const groupLimits = {
+  ...DEFAULT_GROUP_CONCURRENCY,
+  ...envJSON("MCP_GROUP_CONCURRENCY"),
+};
+
+let active_ = 0;
+const activeByKey_ = new Map();
+const queue_ = [];
+
+function limitKey_(name) {
+  if (Object.hasOwn(groupLimits, name)) {
+    return name;
+  }
+  const group = groupOf(name);
+  return Object.hasOwn(groupLimits, group) ? group : null;
+}
+
+function canStart_(key) {
+  return (
+    active_ < maxConcurrency &&
+    (key === null || (activeByKey_.get(key) || 0) < groupLimits[key])
+  );
+}
+
+function start_(key) {
+  active_++;
+  if (key !== null) {
+    activeByKey_.set(key, (activeByKey_.get(key) || 0) + 1);
+  }
+  let released = false;
+  return () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    active_--;
+    if (key !== null) {
+      activeByKey_.set(key, activeByKey_.get(key) - 1);
+    }
+    drain_();
+  };
+}
+
+function drain_() {
+  for (let i = 0; i < queue_.length && active_ < maxConcurrency; ) {
+    const entry = queue_[i];
+    if (canStart_(entry.key)) {
+      queue_.splice(i, 1);
+      entry.signal?.removeEventListener("abort", entry.onAbort);
+      entry.resolve(start_(entry.key));
+    } else {
+      i++;
+    }
+  }
+}
+
+/**
+ * Wait for a slot of the tool "name". The returned function is required to be called to release the slot.
+ */
+export function acquire(name, signal) {
+  const key = limitKey_(name);
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  if (canStart_(key) && !queue_.some((e) => e.key === key)) {
+    return Promise.resolve(start_(key));
+  }
+  if (queue_.length >= maxQueue) {
+    return Promise.reject(
+      new ToolError(
+        ErrorCode.QUEUE_FULL,
+        `${queue_.length} calls are already waiting for Web Apps.`
+      )
+    );
+  }
+  return new Promise((resolve, reject) => {
+    const entry = { key, resolve, signal };
+    entry.onAbort = () => {
+      const index = queue_.indexOf(entry);
+      if (index !== -1) {
+        queue_.splice(index, 1);
+      }
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", entry.onAbort, { once: true });
+    queue_.push(entry);
+  });
+}
@@ -0,0 +1,315 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { groupOf } from "./groups.js";
+
+/**
+ * Metadata of the tools.
+ * Keys are group names like "tools_use_gemini" or tool names. The metadata of the group is merged
+ * with the metadata of the tool, and the metadata of the tool has priority.
+ *
+ * - secrets: Secrets forwarded to Web Apps with the call. "geminiAPIKey" is the API key of Gemini API.
+ * - quota: Quota categories of Google Apps Script consumed by the call. The value is the amount for each call,
+ *   or the name of the argument whose array length is the amount. Each call also consumes "executions".
+ * - async: When true, the call is run as a job (jobs.js). When this is the name of an argument,
+ *   the call is run as a job only when the argument is given.
+ * - batch: Name of the array argument which is split into chunks for a large batch (batch.js).
+ * - access: "read" when the tool only reads the data, "write" when the tool creates or changes the data,
+ *   and "destructive" when the tool removes the data, sends something, or shares the data with other users.
+ *   Only "read" tools are registered in the read-only mode (tool-selection.js).
+ * - confirm: When true, the call returns a preview and a confirmation token first, and the tool runs only
+ *   when it is called again with the token (confirmation.js).
+ * - idempotent: True when calling the tool again with the same arguments has no additional effect.
+ *   The default is true for "read" and "destructive", and false for "write". Only the idempotent tools are retried (retry.js).
+ * - openWorld: False when the tool doesn't interact with the data of the user, like the references and the local tools.
+ * - title: Human-readable title. When this is not given, the title is made from the tool name.
+ *
+ * The annotations of MCP (readOnlyHint, destructiveHint, idempotentHint, openWorldHint and title) are made from these.
+ */
+
+function each_(names, metadata) {
+  return Object.fromEntries(names.map((name) => [name, metadata]));
+}
+
+const TOOL_METADATA = {
+  tools_management_APIs: { quota: { urlFetch: 1 }, access: "read" },
+  get_current_date_time: { quota: {}, openWorld: false },
+  tools_management_analytics: { quota: { urlFetch: 1 }, access: "read" },
+  tools_management_calendar: { access: "write" },
+  search_schedule_on_Google_Calendar: { access: "read" },
+  create_schedule_on_Google_Calendar: { quota: { calendarEvents: 1 } },
+  delete_schedules_on_Google_Calendar: { access: "destructive", confirm: true },
+  update_schedule_on_Google_Calendar: { idempotent: true },
+  tools_management_docs: { access: "write" },
+  ...each_(
+    ["get_values_from_google_docs", "get_google_doc_object_using_docs_api"],
+    { access: "read" }
+  ),
+  tools_management_drive: { access: "write" },
+  ...each_(["search_file_in_google_drive", "get_file_from_google_drive"], {
+    access: "read",
+  }),
+  ...each_(
+    [
+      "change_permission_of_file_on_google_drive",
+      "publicly_share_file_on_google_drive",
+    ],
+    { access: "destructive" }
+  ),
+  remove_files_on_google_drive: { access: "destructive", confirm: true },
+  rename_files_on_google_drive: { batch: "fileList", idempotent: true },
+  move_files_on_google_drive: { batch: "fileList", idempotent: true },
+  comments_drive_api_list: { access: "read", title: "List comments of file" },
+  comments_drive_api_remove: {
+    access: "destructive",
+    confirm: true,
+    title: "Remove comment of file",
+  },
+  revisions_drive_api_list: { access: "read", title: "List revisions of file" },
+  drive_activity_api_query: {
+    access: "read",
+    title: "Query activities on Google Drive",
+  },
+  convert_mimetype_of_file_on_google_drive: { batch: "fileIds" },
+  tools_management_forms: { access: "write" },
+  tools_management_gmail: { access: "write" },
+  get_massages_by_time_from_Gmail: {
+    access: "read",
+    title: "Get messages by time from Gmail",
+  },
+  get_massages_by_search_from_Gmail: {
+    access: "read",
+    title: "Get messages by search from Gmail",
+  },
+  get_attachment_files_from_Gmail: { access: "write" },
+  add_label_to_Gmail: { idempotent: true },
+  auto_reply_draft_creation_Gmail: { batch: "obj" },
+  send_mails_Gmail: {
+    quota: { emails: "draftIds" },
+    access: "destructive",
+    confirm: true,
+    idempotent: false,
+  },
+  remove_mails_Gmail: { access: "destructive", confirm: true },
+  tools_management_sheets: { access: "write" },
+  ...each_(
+    [
+      "get_values_from_google_sheets",
+      "search_values_from_google_sheets",
+      "get_google_sheet_object_using_sheets_api",
+      "get_charts_on_google_sheets",
+    ],
+    { access: "read" }
+  ),
+  ...each_(["put_values_to_google_sheets", "update_chart_on_google_sheets"], {
+    idempotent: true,
+  }),
+  create_charts_as_image_on_google_sheets: { batch: "chartIds" },
+  tools_management_slides: { access: "write" },
+  get_google_slides_object_using_slides_api: { access: "read" },
+  tools_management_classroom: { quota: { urlFetch: 1 }, access: "write" },
+  ...each_(
+    [
+      "classroom_courses_list",
+      "classroom_courses_get",
+      "classroom_courses_getGradingPeriodSettings",
+      "classroom_courses_aliases_list",
+      "classroom_courses_courseWork_list",
+      "classroom_courses_courseWork_get",
+      "classroom_courses_students_list",
+      "classroom_courses_students_get",
+      "classroom_courses_teachers_list",
+      "classroom_courses_teachers_get",
+      "classroom_courses_courseWorkMaterials_list",
+      "classroom_courses_courseWorkMaterials_get",
+      "classroom_courses_courseWork_studentSubmissions_list",
+      "classroom_courses_courseWork_studentSubmissions_get",
+      "classroom_courses_announcements_list",
+      "classroom_courses_announcements_get",
+      "classroom_courses_courseWork_rubrics_list",
+      "classroom_courses_courseWork_rubrics_get",
+      "classroom_courses_topics_list",
+      "classroom_courses_topics_get",
+      "classroom_invitations_list",
+      "classroom_invitations_get",
+      "classroom_userProfiles_get",
+      "classroom_userProfiles_guardianInvitations_list",
+      "classroom_userProfiles_guardianInvitations_get",
+      "classroom_userProfiles_guardians_list",
+      "classroom_userProfiles_guardians_get",
+    ],
+    { access: "read" }
+  ),
+  ...each_(
+    [
+      "classroom_courses_remove",
+      "classroom_courses_aliases_delete",
+      "classroom_courses_courseWork_delete",
+      "classroom_courses_students_delete",
+      "classroom_courses_teachers_delete",
+      "classroom_courses_courseWorkMaterials_delete",
+      "classroom_courses_announcements_delete",
+      "classroom_courses_courseWork_rubrics_delete",
+      "classroom_courses_topics_delete",
+      "classroom_invitations_remove",
+      "classroom_registrations_delete",
+      "classroom_userProfiles_guardians_remove",
+    ],
+    { access: "destructive", confirm: true }
+  ),
+  ...each_(
+    [
+      "classroom_courses_update",
+      "classroom_courses_patch",
+      "classroom_courses_updateGradingPeriodSettings",
+      "classroom_courses_courseWork_patch",
+      "classroom_courses_courseWork_modifyAssignees",
+      "classroom_courses_courseWorkMaterials_patch",
+      "classroom_courses_courseWork_studentSubmissions_patch",
+      "classroom_courses_announcements_patch",
+      "classroom_courses_announcements_modifyAssignees",
+      "classroom_courses_courseWork_rubrics_patch",
+      "classroom_courses_topics_patch",
+      "classroom_userProfiles_guardianInvitations_patch",
+    ],
+    { idempotent: true }
+  ),
+  tools_management_people: { quota: { urlFetch: 1 }, access: "read" },
+  tools_management_maps: { access: "read" },
+  maps_create_map: { access: "write" },
+  file_search_gas_media_upload: {
+    secrets: ["geminiAPIKey"],
+    quota: { urlFetch: 1, geminiRequests: 1 },
+    async: "folderId",
+    access: "write",
+  },
+  generate_roadmap_to_google_sheets: {
+    secrets: ["geminiAPIKey"],
+    quota: { urlFetch: 1, geminiRequests: 1 },
+    async: true,
+    access: "write",
+  },
+  tools_use_gemini: {
+    secrets: ["geminiAPIKey"],
+    quota: { urlFetch: 1, geminiRequests: 1 },
+    access: "read",
+  },
+  description_web_site: { title: "Describe web site" },
+  description_video_on_youtube: { title: "Describe video on YouTube" },
+  ...each_(
+    ["generate_description_on_google_drive", "generate_image_on_google_drive"],
+    { access: "write" }
+  ),
+  tools_management_rag: { access: "read", openWorld: false },
+  tools_management_filesearch: {
+    secrets: ["geminiAPIKey"],
+    quota: { urlFetch: 1, geminiRequests: 1 },
+    access: "read",
+  },
+  ...each_(["file_search_gas_create", "file_search_gas_import_file"], {
+    access: "write",
+  }),
+  ...each_(["file_search_gas_remove", "file_search_gas_documents_remove"], {
+    access: "destructive",
+  }),
+  generate_presentation_with_google_slides: {
+    secrets: ["geminiAPIKey"],
+    quota: { urlFetch: 1, geminiRequests: 1 },
+    async: true,
+  },
+  tools_management_extension: { access: "read", openWorld: false },
+};
+
+const TITLE_PREFIXES = [
+  [/^classroom_/, "Classroom API", "."],
+  [/^analytics_admin_/, "Analytics Admin API", "."],
+  [/^analytics_data_/, "Analytics Data API", "."],
+  [/^people_/, "People API", "."],
+  [/^file_search_gas_/, "File Search", " "],
+  [/^maps_/, "Google Maps", " "],
+  [/^explanation_/, "Explanation", " "],
+];
+
+const TITLE_WORDS = {
+  google: "Google",
+  drive: "Drive",
+  docs: "Docs",
+  sheets: "Sheets",
+  slides: "Slides",
+  forms: "Forms",
+  api: "API",
+  url: "URL",
+  pdf: "PDF",
+  youtube: "YouTube",
+  apps: "Apps",
+  script: "Script",
+  mimetype: "MIME type",
+  lat: "latitude",
+  lon: "longitude",
+};
+
+/**
+ * Make a title from the tool name like "remove_files_on_google_drive" -> "Remove files on Google Drive"
+ * and "classroom_courses_courseWork_list" -> "Classroom API: courses.courseWork.list".
+ */
+function titleOf_(name) {
+  for (const [pattern, prefix, separator] of TITLE_PREFIXES) {
+    if (pattern.test(name)) {
+      const rest = name.replace(pattern, "").split("_");
+      return `${prefix}: ${
+        separator === "." ? rest.join(".") : titleOf_(rest.join("_"))
+      }`;
+    }
+  }
+  const title = name
+    .split("_")
+    .map((w) => (/[A-Z]/.test(w) ? w : TITLE_WORDS[w] ?? w))
+    .join(" ");
+  return title[0].toUpperCase() + title.slice(1);
+}
+
+const registeredMetadata_ = new Map();
+
+/**
+ * Register the metadata of a tool which is not in tools.js, like a tool discovered from Web Apps (discovery.js).
+ * The metadata of the tool name above has priority over this.
+ */
+export function registerMetadata(name, metadata) {
+  registeredMetadata_.set(name, metadata);
+}
+
+export function metadataFor(name) {
+  const metadata = {
+    secrets: [],
+    quota: {},
+    async: false,
+    batch: null,
+    access: "write",
+    confirm: false,
+    openWorld: true,
+    ...TOOL_METADATA[groupOf(name)],
+    ...registeredMetadata_.get(name),
+    ...TOOL_METADATA[name],
+  };
+  return {
+    ...metadata,
+    idempotent: metadata.idempotent ?? metadata.access !== "write",
+    title: metadata.title ?? titleOf_(name),
+  };
+}
+
+/**
+ * Annotations of MCP for the tool.
+ */
+export function annotationsFor(name) {
+  const { access, idempotent, openWorld, title } = metadataFor(name);
+  return {
+    title,
+    readOnlyHint: access === "read",
+    destructiveHint: access === "destructive",
+    idempotentHint: idempotent,
+    openWorldHint: openWorld,
+  };
+}
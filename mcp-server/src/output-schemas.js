@@ -0,0 +1,210 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { z } from "zod";
+import { ErrorCode, ToolError, errorText } from "./errors.js";
+
+/**
+ * Output schemas of the tools returning structured data.
+ * The JSON returned from Web Apps is converted to "structuredContent" and validated with the schema.
+ * When the JSON is an array, it is set to "key". "key" is always included in "structuredContent".
+ * When the JSON doesn't match the schema, the result is the error of "RESULT_SCHEMA_MISMATCH" with the JSON as "raw",
+ * so that an empty array is never mistaken for "nothing was found".
+ *
+ * The error results have "error" like the other tools, and "key" is null in them (withOutputSchema),
+ * because the client validates "structuredContent" with the output schema even when "isError" is true.
+ */
+
+const raw = z
+  .unknown()
+  .describe(
+    `Only in the error "RESULT_SCHEMA_MISMATCH". The response from Web Apps as it is, which doesn't match this schema.`
+  )
+  .optional();
+
+const error = z
+  .object({
+    code: z.string().describe(`Error code like "QUOTA_EXCEEDED".`),
+    message: z.string(),
+    retryable: z.boolean(),
+    hint: z.string(),
+    status: z.number().optional(),
+  })
+  .describe(`Only when "isError" is true.`)
+  .optional();
+
+export const outputSchemas = {
+  search_file_in_google_drive: {
+    key: "files",
+    shape: {
+      files: z
+        .array(
+          z
+            .object({
+              id: z.string().describe("File ID."),
+              name: z.string().describe("Filename.").optional(),
+              mimeType: z.string().describe("MIME type.").optional(),
+              modifiedTime: z.string().optional(),
+              webViewLink: z.string().optional(),
+            })
+            .passthrough()
+        )
+        .nullable()
+        .describe('Found files. Null only when "isError" is true.'),
+      raw,
+      error,
+    },
+  },
+  get_values_from_google_sheets: {
+    key: "values",
+    shape: {
+      values: z
+        .array(z.array(z.unknown()))
+        .nullable()
+        .describe(
+          `Cell values as a 2-dimensional array. Null only when "isError" is true.`
+        ),
+      raw,
+      error,
+    },
+  },
+  search_schedule_on_Google_Calendar: {
+    key: "events",
+    shape: {
+      events: z
+        .array(
+          z
+            .object({
+              id: z.string().describe("Event ID.").optional(),
+              title: z.string().optional(),
+              description: z.string().optional(),
+              location: z.string().optional(),
+              startTime: z.string().optional(),
+              endTime: z.string().optional(),
+            })
+            .passthrough()
+        )
+        .nullable()
+        .describe(
+          'Found schedules (events). Null only when "isError" is true.'
+        ),
+      raw,
+      error,
+    },
+  },
+  get_massages_by_search_from_Gmail: {
+    key: "messages",
+    shape: {
+      messages: z
+        .array(
+          z
+            .object({
+              messageId: z.string().describe("Message ID.").optional(),
+              threadId: z.string().optional(),
+              from: z.string().optional(),
+              to: z.string().optional(),
+              subject: z.string().optional(),
+              date: z.string().optional(),
+              body: z.string().optional(),
+            })
+            .passthrough()
+        )
+        .nullable()
+        .describe('Found messages. Null only when "isError" is true.'),
+      raw,
+      error,
+    },
+  },
+  file_search_gas_list: {
+    key: "fileSearchStores",
+    shape: {
+      fileSearchStores: z
+        .array(
+          z
+            .object({
+              name: z
+                .string()
+                .describe(`Name of the store like "fileSearchStores/###".`),
+              displayName: z.string().optional(),
+              createTime: z.string().optional(),
+              updateTime: z.string().optional(),
+            })
+            .passthrough()
+        )
+        .nullable()
+        .describe('File search stores. Null only when "isError" is true.'),
+      raw,
+      error,
+    },
+  },
+};
+
+/**
+ * Convert the result of the tool from Web Apps to the result with "structuredContent" matching the output schema.
+ * When the response doesn't match the schema, the error result of "RESULT_SCHEMA_MISMATCH" is returned.
+ */
+export function toStructuredResult(name, result) {
+  const { key, shape } = outputSchemas[name];
+  const text = (result.content || [])
+    .filter((c) => c.type === "text")
+    .map((c) => c.text)
+    .join("\n");
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    return mismatch_(name, result, text);
+  }
+  const candidate = Array.isArray(value)
+    ? { [key]: value }
+    : value && typeof value === "object" && Object.hasOwn(value, key)
+    ? value
+    : null;
+  return candidate &&
+    Array.isArray(candidate[key]) &&
+    z.object(shape).safeParse(candidate).success
+    ? { ...result, structuredContent: candidate }
+    : mismatch_(name, result, value);
+}
+
+function mismatch_(name, result, value) {
+  const error = new ToolError(
+    ErrorCode.RESULT_MISMATCH,
+    `The result of "${name}" doesn't match the output schema.`
+  );
+  return {
+    content: [
+      { type: "text", text: errorText(error) },
+      ...(result.content || []),
+    ],
+    structuredContent: {
+      [outputSchemas[name].key]: null,
+      raw: value,
+      error: error.toJSON(),
+    },
+    isError: true,
+  };
+}
+
+/**
+ * Wrap the function of the tool with the output schema, so that "key" of the error results is null.
+ * Without "key", "structuredContent.error" doesn't match the output schema on the client.
+ */
+export function withOutputSchema(name, func) {
+  if (!Object.hasOwn(outputSchemas, name)) {
+    return func;
+  }
+  const { key } = outputSchemas[name];
+  return async (args, extra) => {
+    const result = await func(args, extra);
+    if (!result?.isError || !result.structuredContent) {
+      return result;
+    }
+    return {
+      ...result,
+      structuredContent: { [key]: null, ...result.structuredContent },
+    };
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { envBoolean, envJSON, stateDir } from "./config.js";
+import { ErrorCode, ToolError } from "./errors.js";
+import { metadataFor } from "./metadata.js";
+
+/**
+ * Local usage ledger which mirrors the quotas of Google Apps Script.
+ * The usage is recorded for each day (UTC) by the tool names and the quota categories of metadata.js,
+ * and it is stored in "usage.json" of the state directory, so it is kept across the restarts.
+ * When the usage reaches the soft limit, a warning is added to the result. When the usage would exceed
+ * the hard limit, the call is refused before it is sent to Web Apps.
+ * The keys of "MCP_QUOTA_LIMITS" are the quota categories or the tool names.
+ * Please note that the actual quotas of Google Apps Script are reset 24 hours after the first request,
+ * so this ledger is an approximation. Ref: https://developers.google.com/apps-script/guides/services/quotas
+ */
+
+// The quotas of the consumer accounts. For Google Workspace accounts, please increase them with "MCP_QUOTA_LIMITS".
+const DEFAULT_LIMITS = {
+  emails: { soft: 80, hard: 100 },
+  calendarEvents: { soft: 4000, hard: 5000 },
+  urlFetch: { soft: 16000, hard: 20000 },
+};
+
+const KEEP_DAYS = 31;
+
+const enabled = envBoolean("MCP_QUOTA_LEDGER", true);
+const limits = { ...DEFAULT_LIMITS, ...envJSON("MCP_QUOTA_LIMITS") };
+const ledgerFile = join(stateDir(), "usage.json");
+
+function today_() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function load_() {
+  try {
+    return JSON.parse(readFileSync(ledgerFile, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function save_(ledger) {
+  const oldest = new Date(Date.now() - KEEP_DAYS * 86400000)
+    .toISOString()
+    .slice(0, 10);
+  for (const day of Object.keys(ledger)) {
+    if (day < oldest) {
+      delete ledger[day];
+    }
+  }
+  mkdirSync(stateDir(), { recursive: true });
+  const temp = `${ledgerFile}.${process.pid}.tmp`;
+  writeFileSync(temp, JSON.stringify(ledger, null, 2));
+  renameSync(temp, ledgerFile);
+}
+
+/**
+ * Return the amount of each quota category consumed by a call of the tool.
+ */
+export function usageOf(name, args = {}) {
+  const usage = { executions: 1 };
+  for (const [category, amount] of Object.entries(metadataFor(name).quota)) {
+    usage[category] =
+      typeof amount === "string"
+        ? Math.max(1, Array.isArray(args[amount]) ? args[amount].length : 1)
+        : amount;
+  }
+  return usage;
+}
+
+/**
+ * Check the quota before the call.
+ * When the hard limit would be exceeded, ToolError of QUOTA_EXCEEDED is thrown.
+ * The warnings for the soft limits are returned.
+ */
+export function checkQuota(name, args) {
+  if (!enabled) {
+    return [];
+  }
+  const day = load_()[today_()] || { tools: {}, categories: {} };
+  const checks = Object.entries(usageOf(name, args)).map(
+    ([category, amount]) => ({
+      key: category,
+      used: day.categories[category] || 0,
+      amount,
+    })
+  );
+  checks.push({ key: name, used: day.tools[name] || 0, amount: 1 });
+  const warnings = [];
+  for (const { key, used, amount } of checks) {
+    const { soft, hard } = limits[key] || {};
+    if (hard !== undefined && used + amount > hard) {
+      throw new ToolError(
+        ErrorCode.QUOTA,
+        `The local daily limit of "${key}" (${hard}) would be exceeded. ${used} has already been used today.`,
+        {
+          retryable: false,
+          hint: `The usage is reset at 00:00 UTC. The limit can be changed with "MCP_QUOTA_LIMITS". The remaining headroom can be confirmed with the tool "quota_status".`,
+        }
+      );
+    }
+    if (soft !== undefined && used + amount > soft) {
+      warnings.push(
+        `Warning: The usage of "${key}" today is ${
+          used + amount
+        }, which exceeds the soft limit (${soft})${
+          hard === undefined ? "" : ` of the daily limit (${hard})`
+        }.`
+      );
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Add the usage of the call to the ledger.
+ * The call has already run on Web Apps, so a failure of writing the ledger is only written to stderr
+ * and never changes the result of the tool.
+ */
+export function recordUsage(name, args) {
+  if (!enabled) {
+    return;
+  }
+  try {
+    const ledger = load_();
+    const date = today_();
+    const day = (ledger[date] ||= { tools: {}, categories: {} });
+    day.tools[name] = (day.tools[name] || 0) + 1;
+    for (const [category, amount] of Object.entries(usageOf(name, args))) {
+      day.categories[category] = (day.categories[category] || 0) + amount;
+    }
+    save_(ledger);
+  } catch ({ message }) {
+    console.error(`The usage of "${name}" could not be recorded. ${message}`);
+  }
+}
+
+/**
+ * Return the usage and the remaining headroom of today.
+ */
+export function quotaStatus() {
+  const date = today_();
+  const day = load_()[date] || { tools: {}, categories: {} };
+  const keys = [
+    ...new Set([...Object.keys(limits), ...Object.keys(day.categories)]),
+  ];
+  return {
+    date,
+    ledger: enabled ? ledgerFile : null,
+    quotas: keys.map((key) => {
+      const used =
+        (Object.hasOwn(day.categories, key)
+          ? day.categories[key]
+          : day.tools[key]) || 0;
+      const { soft = null, hard = null } = limits[key] || {};
+      return {
+        key,
+        used,
+        soft,
+        hard,
+        remaining: hard === null ? null : Math.max(0, hard - used),
+      };
+    }),
+    tools: day.tools,
+  };
+}
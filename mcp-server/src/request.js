@@ -0,0 +1,353 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { isIdempotent, withRetry } from "./retry.js";
+import { timeoutFor } from "./timeouts.js";
+import {
+  ErrorCode,
+  ToolError,
+  errorFromMessage,
+  errorFromStatus,
+  errorResult,
+  errorText,
+  toToolError,
+} from "./errors.js";
+import { classifyHTML, isHTML } from "./html.js";
+import { redact, withSecrets } from "./secrets.js";
+import { signURL } from "./signing.js";
+import { createRoute, reportFailure, reportSuccess } from "./endpoints.js";
+import { acquire } from "./limiter.js";
+import { enterCircuit } from "./circuit-breaker.js";
+import { checkQuota, recordUsage } from "./quota.js";
+import { batchArgumentOf, runBatch } from "./batch.js";
+import { outputSchemas, toStructuredResult } from "./output-schemas.js";
+import { isAsyncCall, jobSummary, jobTimeoutMs, startJob } from "./jobs.js";
+import {
+  consumeConfirmation,
+  issueConfirmation,
+  requiresConfirmation,
+} from "./confirmation.js";
+import { recordAudit } from "./audit.js";
+import { traceWebAppsRequest } from "./telemetry.js";
+
+export async function request_({ name, method, body, extra }) {
+  return await audited_({ name, method, args: body }, () =>
+    handle_({ name, method, body, extra })
+  );
+}
+
+/**
+ * Run "run" and record the result or the error to the audit log.
+ */
+async function audited_(entry, run) {
+  const startedAt = Date.now();
+  try {
+    const result = await run();
+    recordAudit({ ...entry, startedAt, result });
+    return result;
+  } catch (error) {
+    recordAudit({ ...entry, startedAt, error });
+    throw error;
+  }
+}
+
+async function handle_({ name, method, body, extra }) {
+  if (method === "tools/call" && requiresConfirmation(name)) {
+    const { confirmationToken, ...args } = body;
+    if (!confirmationToken) {
+      return await preview_({ name, args, extra });
+    }
+    try {
+      consumeConfirmation(name, args, confirmationToken);
+    } catch (err) {
+      return errorResult(toToolError(err));
+    }
+    body = args;
+  }
+  if (method === "tools/call" && isAsyncCall(name, body)) {
+    // The final outcome of the job is recorded to the audit log when the job settles.
+    const job = startJob(name, body, () =>
+      audited_({ name, method, args: body, jobId: job.id }, () =>
+        call_({ name, method, body, timeoutMs: jobTimeoutMs })
+      )
+    );
+    return {
+      content: [
+        {
+          type: "text",
+          text: `"${name}" was started as the job "${job.id}" because it might take a long time. Please get the result with the tool "job_result" using this job ID. The state can be confirmed with the tool "job_status".`,
+        },
+      ],
+      structuredContent: { job: jobSummary(job) },
+      isError: false,
+    };
+  }
+  const argument = method === "tools/call" && batchArgumentOf(name, body);
+  if (argument) {
+    return await runBatch({
+      argument,
+      args: body,
+      extra,
+      call: (chunk) => call_({ name, method, body: chunk, extra }),
+    });
+  }
+  return await call_({ name, method, body, extra });
+}
+
+/**
+ * Return the preview of the call of the tool requiring the confirmation, and issue the confirmation token.
+ * When Web Apps cannot return the preview, the arguments are shown as the preview.
+ */
+async function preview_({ name, args, extra }) {
+  const result = await call_({
+    name,
+    method: "tools/preview",
+    body: args,
+    extra,
+  });
+  let preview;
+  if (result.isError) {
+    preview = {
+      arguments: args,
+      note: `Web Apps could not return the details of the targets. Please confirm the arguments. ${
+        result.structuredContent?.error?.message || ""
+      }`.trim(),
+    };
+  } else {
+    const text = result.content
+      .filter((c) => c.type === "text")
+      .map((c) => c.text)
+      .join("\n");
+    try {
+      preview = JSON.parse(text);
+    } catch {
+      preview = text;
+    }
+  }
+  const { token, expiresAt } = issueConfirmation(name, args);
+  return redact({
+    content: [
+      {
+        type: "text",
+        text: [
+          `Preview of "${name}". Nothing has been changed yet.`,
+          JSON.stringify(preview, null, 2),
+          `Please show this preview to the user. When the user confirms it, call "${name}" again with the same arguments and "confirmationToken": "${token}". The token expires at ${expiresAt}.`,
+        ].join("\n"),
+      },
+    ],
+    structuredContent: { preview, confirmationToken: token, expiresAt },
+    isError: false,
+  });
+}
+
+/**
+ * Send the call to Web Apps in the span of OpenTelemetry.
+ */
+function call_(options) {
+  return traceWebAppsRequest(options.name, options.method, (span) =>
+    callWebApps_({ ...options, span })
+  );
+}
+
+async function callWebApps_({
+  name,
+  method,
+  body,
+  extra,
+  timeoutMs = timeoutFor(name),
+  span,
+}) {
+  // The preview doesn't consume the quotas of the tool, like sending the emails.
+  const accounted = method !== "tools/preview";
+  const timeoutSignal = AbortSignal.timeout(timeoutMs);
+  const signal = extra?.signal
+    ? AbortSignal.any([extra.signal, timeoutSignal])
+    : timeoutSignal;
+  let result;
+  let permit;
+  let release;
+  let warnings = [];
+  try {
+    warnings = accounted ? checkQuota(name, body) : [];
+    release = await acquire(name, signal);
+    permit = enterCircuit(name);
+    const { args, headers } = withSecrets(name, body);
+    const payload = {
+      jsonrpc: "2.0",
+      id: 1,
+      method,
+      params: { name, arguments: args },
+    };
+    const requestBody = JSON.stringify(payload);
+    span.setAttribute("mcp.payload_size", Buffer.byteLength(requestBody));
+    const route = createRoute(name);
+    const response = await withRetry(
+      name,
+      (attempt) => {
+        span.setAttribute("mcp.retry_count", attempt - 1);
+        return send_(route.next(), requestBody, { headers, signal });
+      },
+      { signal, idempotent: method !== "tools/call" || isIdempotent(name) }
+    );
+    span.setAttribute("http.response.status_code", response.status);
+    result = await parseResponse_(response);
+    // Web Apps has run the call here, so the circuit is settled before the local bookkeeping.
+    permit.settle(null);
+    permit = null;
+    if (accounted) {
+      recordUsage(name, body);
+    }
+    if (
+      Object.hasOwn(outputSchemas, name) &&
+      !result.isError &&
+      !result.structuredContent
+    ) {
+      result = toStructuredResult(name, result);
+    }
+  } catch (err) {
+    let error;
+    if (timeoutSignal.aborted) {
+      error = new ToolError(
+        ErrorCode.TIMEOUT,
+        `The request of "${name}" timed out after ${timeoutMs} ms.`
+      );
+    } else if (extra?.signal?.aborted) {
+      error = new ToolError(
+        ErrorCode.CANCELLED,
+        `The request of "${name}" was cancelled.`
+      );
+    } else {
+      error = toToolError(err);
+    }
+    permit?.settle(error);
+    if (method === "prompts/get") {
+      throw new Error(redact(errorText(error)), { cause: error });
+    }
+    result = errorResult(error);
+  } finally {
+    release?.();
+  }
+  if (warnings.length > 0 && result.content) {
+    result = {
+      ...result,
+      content: [...result.content, { type: "text", text: warnings.join("\n") }],
+    };
+  }
+  // console.log(redact(result)); // Check response.
+  result = redact(result);
+  span.setAttribute(
+    "mcp.response_size",
+    Buffer.byteLength(JSON.stringify(result))
+  );
+  return result;
+}
+
+/**
+ * Send the request to the endpoint, and record the health of the endpoint.
+ */
+async function send_(url, requestBody, { headers, signal }) {
+  try {
+    const response = await fetch(signURL(url, requestBody), {
+      method: "POST",
+      headers,
+      body: requestBody,
+      signal,
+    });
+    if (response.status === 429 || response.status >= 500) {
+      reportFailure(url);
+    } else {
+      reportSuccess(url);
+    }
+    return response;
+  } catch (err) {
+    if (!signal.aborted) {
+      reportFailure(url);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Send a request which is not a call of a tool or a prompt, like "tools/list", to Web Apps, and return "result" of the response.
+ * This is not counted in the quotas and the audit log. When it fails, ToolError is thrown.
+ */
+export async function requestWebApps(method, params = {}, { timeoutMs } = {}) {
+  const signal = AbortSignal.timeout(timeoutMs ?? timeoutFor(method));
+  const requestBody = JSON.stringify({ jsonrpc: "2.0", id: 1, method, params });
+  const route = createRoute(method);
+  try {
+    const response = await withRetry(
+      method,
+      () => send_(route.next(), requestBody, { headers: {}, signal }),
+      { signal, idempotent: true }
+    );
+    const { o } = await parseJSONRPC_(response);
+    return o.result;
+  } catch (err) {
+    if (signal.aborted) {
+      throw new ToolError(
+        ErrorCode.TIMEOUT,
+        `The request of "${method}" timed out.`
+      );
+    }
+    throw toToolError(err);
+  }
+}
+
+/**
+ * Parse the response of JSON-RPC from Web Apps.
+ * When the response is an HTML page, an HTTP error, invalid JSON or an error of JSON-RPC, ToolError is thrown.
+ */
+async function parseJSONRPC_(response) {
+  const text = await response.text();
+  if (isHTML(text, response.headers.get("content-type") || "")) {
+    throw classifyHTML(text, response.status);
+  }
+  if (!response.ok) {
+    throw errorFromStatus(response.status);
+  }
+  let o;
+  try {
+    o = JSON.parse(text);
+  } catch ({ message }) {
+    throw new ToolError(
+      ErrorCode.INVALID_JSON,
+      `The response from Web Apps is not valid JSON. ${message}`
+    );
+  }
+  if (o.error) {
+    throw errorFromMessage(o.error.message || JSON.stringify(o.error));
+  }
+  return { o, text };
+}
+
+/**
+ * Convert the response from Web Apps to the result of MCP.
+ * When the response is not a result of a tool or a prompt, ToolError is thrown.
+ */
+async function parseResponse_(response) {
+  const { o, text } = await parseJSONRPC_(response);
+  if (o.result && o.result?.content && o.result.hasOwnProperty("isError")) {
+    // For tools
+    if (o.result.isError) {
+      const message = o.result.content
+        .map((c) => c.text || "")
+        .join("\n")
+        .trim();
+      return {
+        ...o.result,
+        structuredContent: {
+          error: errorFromMessage(message || "Unknown error.").toJSON(),
+        },
+      };
+    }
+    return o.result;
+  } else if (o.result && o.result?.messages) {
+    // For prompts
+    return o.result;
+  }
+  return { content: [{ type: "text", text }], isError: false };
+}
@@ -0,0 +1,141 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { envNumber, envList } from "./config.js";
+import { metadataFor } from "./metadata.js";
+
+/**
+ * Retry of the requests to Web Apps.
+ * Web Apps of Google Apps Script often returns 429, 500 and 503 at a cold start or when a quota is hit.
+ * Those requests are retried with the exponential backoff with full jitter, and "Retry-After" is respected.
+ * The number of retries for each tool is limited by a retry budget for each time window.
+ */
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+export const retryPolicy = {
+  maxAttempts: Math.max(1, envNumber("MCP_RETRY_MAX_ATTEMPTS", 4)),
+  baseDelayMs: envNumber("MCP_RETRY_BASE_DELAY_MS", 500),
+  maxDelayMs: envNumber("MCP_RETRY_MAX_DELAY_MS", 30000),
+  budget: envNumber("MCP_RETRY_BUDGET", 10),
+  budgetWindowMs: envNumber("MCP_RETRY_BUDGET_WINDOW_MS", 60000),
+  nonIdempotentTools: new Set(envList("MCP_NON_IDEMPOTENT_TOOLS")),
+};
+
+const retriesByTool_ = new Map();
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.has(status);
+}
+
+/**
+ * Only the idempotent tools are retried, because repeating the others might send a mail or create an event twice.
+ * The tools are declared with "idempotent" of metadata.js, and "MCP_NON_IDEMPOTENT_TOOLS" adds tools to the others.
+ */
+export function isIdempotent(name) {
+  return (
+    metadataFor(name).idempotent && !retryPolicy.nonIdempotentTools.has(name)
+  );
+}
+
+/**
+ * Convert the value of "Retry-After" header (seconds or HTTP-date) to milliseconds.
+ * When the value cannot be parsed, null is returned.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export function backoffDelay(attempt) {
+  const { baseDelayMs, maxDelayMs } = retryPolicy;
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Take one retry from the budget of the tool.
+ * When the budget of the current window has been used up, false is returned.
+ */
+function takeRetryToken_(name) {
+  const now = Date.now();
+  const recent = (retriesByTool_.get(name) || []).filter(
+    (t) => now - t < retryPolicy.budgetWindowMs
+  );
+  if (recent.length >= retryPolicy.budget) {
+    retriesByTool_.set(name, recent);
+    return false;
+  }
+  recent.push(now);
+  retriesByTool_.set(name, recent);
+  return true;
+}
+
+/**
+ * Wait for "ms" milliseconds. When "signal" is aborted, the wait is stopped with the reason of the signal.
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Run "send" for the tool "name" and retry it when it fails transiently.
+ * "send" is required to return a Response of fetch.
+ * The last Response is returned, or the last error is thrown, when no more retry is allowed.
+ * When "signal" is aborted, no more retry is done.
+ * "idempotent" is given for the requests which are not the calls of the tools, like the prompts and the previews.
+ */
+export async function withRetry(
+  name,
+  send,
+  { signal, idempotent = isIdempotent(name) } = {}
+) {
+  const retryable = idempotent;
+  for (let attempt = 1; ; attempt++) {
+    const canRetry = retryable && attempt < retryPolicy.maxAttempts;
+    let response;
+    try {
+      response = await send(attempt);
+    } catch (err) {
+      if (!canRetry || signal?.aborted || !takeRetryToken_(name)) {
+        throw err;
+      }
+      await sleep(backoffDelay(attempt), signal);
+      continue;
+    }
+    if (response.ok || !isRetryableStatus(response.status) || !canRetry) {
+      return response;
+    }
+    const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+    if (retryAfter !== null && retryAfter > retryPolicy.maxDelayMs) {
+      return response;
+    }
+    if (!takeRetryToken_(name)) {
+      return response;
+    }
+    await response.body?.cancel();
+    await sleep(Math.max(retryAfter ?? 0, backoffDelay(attempt)), signal);
+  }
+}
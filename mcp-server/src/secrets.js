@@ -0,0 +1,94 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { envList, envString } from "./config.js";
+import { metadataFor } from "./metadata.js";
+
+/**
+ * Forwarding policy of the secrets.
+ * The API key of Gemini API is forwarded only to the tools declaring "geminiAPIKey" in metadata.js
+ * and the tools given by "MCP_GEMINI_KEY_TOOLS".
+ * When "MCP_SECRET_FORWARDING" is "header", the key is sent with the request headers instead of the JSON body.
+ * Because "doPost" of Google Apps Script cannot read the request headers, "header" is for a proxy in front of Web Apps.
+ */
+
+const geminiAPIKey = envString("GEMINI_API_KEY");
+const geminiAPIModel = envString("GEMINI_MODEL");
+const forwarding = envString("MCP_SECRET_FORWARDING", "body").toLowerCase();
+const extraGeminiKeyTools = new Set(envList("MCP_GEMINI_KEY_TOOLS"));
+
+if (!["body", "header"].includes(forwarding)) {
+  throw new Error(
+    `"MCP_SECRET_FORWARDING" of the environmental variables is required to be "body" or "header". The current value is "${forwarding}".`
+  );
+}
+
+const SECRET_KEY_PATTERN =
+  /api[-_]?key|access[-_]?key|secret|password|^authorization$/i;
+const ACCESS_KEY_PARAMETER_PATTERN = /([?&]accessKey=)[^&#\s"']+/g;
+const REDACTED = "[REDACTED]";
+const secretValues_ = new Set();
+
+export function registerSecret(value) {
+  if (value && value.length >= 8) {
+    secretValues_.add(value);
+  }
+}
+
+registerSecret(geminiAPIKey);
+
+export function needsGeminiAPIKey(name) {
+  return (
+    metadataFor(name).secrets.includes("geminiAPIKey") ||
+    extraGeminiKeyTools.has(name)
+  );
+}
+
+/**
+ * Build the arguments and the headers of the call to Web Apps with the secrets the tool needs.
+ */
+export function withSecrets(name, body = {}) {
+  if (!needsGeminiAPIKey(name)) {
+    return { args: { ...body }, headers: {} };
+  }
+  if (forwarding === "header") {
+    return {
+      args: { ...body },
+      headers: {
+        "X-Gemini-Api-Key": geminiAPIKey,
+        "X-Gemini-Model": geminiAPIModel,
+      },
+    };
+  }
+  return { args: { ...body, geminiAPIKey, geminiAPIModel }, headers: {} };
+}
+
+/**
+ * Return a copy of "value" in which the secrets are replaced with "[REDACTED]".
+ * The values of the keys like "geminiAPIKey" and "accessKey", "accessKey" in the URLs, and the registered secret values are redacted.
+ */
+export function redact(value) {
+  if (typeof value === "string") {
+    let text = value.replace(ACCESS_KEY_PARAMETER_PATTERN, `$1${REDACTED}`);
+    for (const secret of secretValues_) {
+      text = text.split(secret).join(REDACTED);
+    }
+    return text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [
+        k,
+        SECRET_KEY_PATTERN.test(k) && typeof v === "string" && v
+          ? REDACTED
+          : redact(v),
+      ])
+    );
+  }
+  return value;
+}
@@ -0,0 +1,108 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { envString } from "./config.js";
+import { registerSecret } from "./secrets.js";
+
+/**
+ * Optional HMAC signing of the requests to Web Apps.
+ * When "MCP_SIGNING_SECRET" or "MCP_SIGNING_SECRET_FILE" is set, "timestamp", "nonce" and "signature"
+ * are added to the query parameters of each request, because "doPost" of Google Apps Script can read
+ * the query parameters but cannot read the request headers.
+ * The signature is HMAC-SHA256 (hex) of "{timestamp}\n{nonce}\n{raw request body}" with the shared secret.
+ * The verification on the Web Apps side is apps-script/VerifySignature.gs.
+ */
+
+const DEFAULT_MAX_SKEW_MS = 5 * 60 * 1000;
+
+function loadSigningSecret_() {
+  const secret = envString("MCP_SIGNING_SECRET");
+  if (secret) {
+    return secret;
+  }
+  const file = envString("MCP_SIGNING_SECRET_FILE");
+  if (!file) {
+    return "";
+  }
+  try {
+    return readFileSync(file, "utf8").trim();
+  } catch ({ message }) {
+    throw new Error(
+      `The signing secret could not be read from "MCP_SIGNING_SECRET_FILE". ${message}`
+    );
+  }
+}
+
+const signingSecret = loadSigningSecret_();
+
+registerSecret(signingSecret);
+
+export const signingEnabled = Boolean(signingSecret);
+
+export function computeSignature(secret, timestamp, nonce, body) {
+  return createHmac("sha256", secret)
+    .update(`${timestamp}\n${nonce}\n${body}`, "utf8")
+    .digest("hex");
+}
+
+/**
+ * Return the URL with "timestamp", "nonce" and "signature" for the raw request body.
+ * When the signing is not enabled, the URL is returned as it is.
+ */
+export function signURL(url, body) {
+  if (!signingEnabled) {
+    return url;
+  }
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = randomBytes(16).toString("hex");
+  const signed = new URL(url);
+  signed.searchParams.set("timestamp", timestamp);
+  signed.searchParams.set("nonce", nonce);
+  signed.searchParams.set(
+    "signature",
+    computeSignature(signingSecret, timestamp, nonce, body)
+  );
+  return signed.toString();
+}
+
+/**
+ * Verify the signature of a request. This is used by the local stand-in of Web Apps.
+ * "seenNonces" is a Map of nonce to the expiration time for rejecting the replayed requests.
+ * The reason of the rejection is returned, or null is returned when the request is valid.
+ */
+export function verifySignature(
+  { timestamp, nonce, signature, body },
+  secret,
+  { seenNonces, now = Date.now(), maxSkewMs = DEFAULT_MAX_SKEW_MS } = {}
+) {
+  if (!timestamp || !nonce || !signature) {
+    return "The request is not signed.";
+  }
+  if (Math.abs(now - Number(timestamp) * 1000) > maxSkewMs) {
+    return "The timestamp of the request is out of the allowed window.";
+  }
+  const expected = Buffer.from(
+    computeSignature(secret, timestamp, nonce, body),
+    "hex"
+  );
+  const actual = Buffer.from(signature, "hex");
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return "The signature is invalid.";
+  }
+  if (seenNonces) {
+    for (const [n, expiration] of seenNonces) {
+      if (expiration < now) {
+        seenNonces.delete(n);
+      }
+    }
+    if (seenNonces.has(nonce)) {
+      return "The nonce has already been used.";
+    }
+    seenNonces.set(nonce, now + maxSkewMs);
+  }
+  return null;
+}
@@ -0,0 +1,225 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { SpanKind, SpanStatusCode, metrics, trace } from "@opentelemetry/api";
+import { envNumber, envString } from "./config.js";
+import { groupOf } from "./groups.js";
+
+/**
+ * OpenTelemetry tracing and metrics of the tool calls.
+ * When "MCP_OTEL_EXPORTER" is "otlp", the spans and the metrics are exported to the OTLP/HTTP collector of
+ * "MCP_OTEL_ENDPOINT". When it is "console", they are written to stderr, because stdout is used by the stdio transport.
+ * When it is not set, the SDK is not loaded and the no-op implementation of the API is used.
+ *
+ * Each call of a tool has the span "tools/call {name}", and each request to Web Apps has the child span
+ * "Web Apps {name}" with the payload size, the response size and the retry count.
+ * The latency of each tool is recorded to the histogram "mcp.tool.duration".
+ */
+
+const SERVICE_NAME = "tools-for-mcp-server-extension";
+const exporter = envString("MCP_OTEL_EXPORTER").toLowerCase();
+const endpoint = envString("MCP_OTEL_ENDPOINT", "http://localhost:4318");
+const metricsIntervalMs = envNumber("MCP_OTEL_METRICS_INTERVAL_MS", 60000);
+
+if (exporter && !["otlp", "console"].includes(exporter)) {
+  throw new Error(
+    `"MCP_OTEL_EXPORTER" of the environmental variables is required to be "otlp" or "console". The current value is "${exporter}".`
+  );
+}
+
+let shutdown_ = async () => {};
+
+if (exporter) {
+  const [
+    { ExportResultCode },
+    { resourceFromAttributes },
+    { NodeTracerProvider, BatchSpanProcessor, SimpleSpanProcessor },
+    { MeterProvider, PeriodicExportingMetricReader },
+  ] = await Promise.all([
+    import("@opentelemetry/core"),
+    import("@opentelemetry/resources"),
+    import("@opentelemetry/sdk-trace-node"),
+    import("@opentelemetry/sdk-metrics"),
+  ]);
+  const resource = resourceFromAttributes({
+    "service.name": SERVICE_NAME,
+  });
+
+  let spanProcessor;
+  let metricExporter;
+  if (exporter === "otlp") {
+    const [{ OTLPTraceExporter }, { OTLPMetricExporter }] = await Promise.all([
+      import("@opentelemetry/exporter-trace-otlp-http"),
+      import("@opentelemetry/exporter-metrics-otlp-http"),
+    ]);
+    spanProcessor = new BatchSpanProcessor(
+      new OTLPTraceExporter({ url: `${endpoint}/v1/traces` })
+    );
+    metricExporter = new OTLPMetricExporter({ url: `${endpoint}/v1/metrics` });
+  } else {
+    const writeToStderr = (items, resultCallback) => {
+      for (const item of items) {
+        console.error(JSON.stringify(item));
+      }
+      resultCallback({ code: ExportResultCode.SUCCESS });
+    };
+    spanProcessor = new SimpleSpanProcessor({
+      export: (spans, resultCallback) =>
+        writeToStderr(
+          spans.map((s) => ({
+            name: s.name,
+            traceId: s.spanContext().traceId,
+            spanId: s.spanContext().spanId,
+            parentSpanId: s.parentSpanContext?.spanId,
+            durationMs: s.duration[0] * 1000 + s.duration[1] / 1e6,
+            status: s.status,
+            attributes: s.attributes,
+          })),
+          resultCallback
+        ),
+      shutdown: async () => {},
+    });
+    metricExporter = {
+      export: ({ scopeMetrics }, resultCallback) =>
+        writeToStderr(
+          scopeMetrics.flatMap(({ metrics: m }) =>
+            m.map(({ descriptor, dataPoints }) => ({
+              metric: descriptor.name,
+              dataPoints: dataPoints.map(({ attributes, value }) => ({
+                attributes,
+                value,
+              })),
+            }))
+          ),
+          resultCallback
+        ),
+      forceFlush: async () => {},
+      shutdown: async () => {},
+    };
+  }
+
+  const tracerProvider = new NodeTracerProvider({
+    resource,
+    spanProcessors: [spanProcessor],
+  });
+  tracerProvider.register();
+  const meterProvider = new MeterProvider({
+    resource,
+    readers: [
+      new PeriodicExportingMetricReader({
+        exporter: metricExporter,
+        exportIntervalMillis: metricsIntervalMs,
+      }),
+    ],
+  });
+  metrics.setGlobalMeterProvider(meterProvider);
+  shutdown_ = () =>
+    Promise.allSettled([tracerProvider.shutdown(), meterProvider.shutdown()]);
+  process.once("beforeExit", () => shutdown_());
+}
+
+const tracer = trace.getTracer(SERVICE_NAME);
+const meter = metrics.getMeter(SERVICE_NAME);
+const toolDuration = meter.createHistogram("mcp.tool.duration", {
+  description: "Duration of the tool calls.",
+  unit: "ms",
+  // Up to the timeout of Web Apps (about 300 seconds).
+  advice: {
+    explicitBucketBoundaries: [
+      100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 120000, 180000,
+      240000, 300000,
+    ],
+  },
+});
+
+/**
+ * Flush and stop the exporters. This is called before the process exits.
+ */
+export function shutdownTelemetry() {
+  return shutdown_();
+}
+
+function outcomeOf_(result) {
+  return result?.isError ? "error" : "success";
+}
+
+/**
+ * Wrap the callback of the tool with the span of the MCP handler and the latency histogram.
+ */
+export function instrumentTool(name, func) {
+  return (args, extra) => {
+    const started = performance.now();
+    const attributes = {
+      "mcp.tool.name": name,
+      "mcp.tool.group": groupOf(name),
+    };
+    return tracer.startActiveSpan(
+      `tools/call ${name}`,
+      { kind: SpanKind.SERVER, attributes },
+      async (span) => {
+        let outcome = "error";
+        try {
+          const result = await func(args, extra);
+          outcome = outcomeOf_(result);
+          const code = result?.structuredContent?.error?.code;
+          if (code) {
+            span.setAttribute("mcp.error.code", code);
+          }
+          return result;
+        } catch (err) {
+          span.recordException(err);
+          throw err;
+        } finally {
+          span.setAttribute("mcp.outcome", outcome);
+          if (outcome === "error") {
+            span.setStatus({ code: SpanStatusCode.ERROR });
+          }
+          span.end();
+          toolDuration.record(performance.now() - started, {
+            ...attributes,
+            "mcp.outcome": outcome,
+          });
+        }
+      }
+    );
+  };
+}
+
+/**
+ * Run "fn" for the request to Web Apps in the child span. "fn" receives the span to set the attributes.
+ */
+export function traceWebAppsRequest(name, method, fn) {
+  return tracer.startActiveSpan(
+    `Web Apps ${name}`,
+    {
+      kind: SpanKind.CLIENT,
+      attributes: {
+        "mcp.tool.name": name,
+        "mcp.tool.group": groupOf(name),
+        "mcp.method": method,
+      },
+    },
+    async (span) => {
+      try {
+        const result = await fn(span);
+        span.setAttribute("mcp.outcome", outcomeOf_(result));
+        if (result?.isError) {
+          span.setStatus({ code: SpanStatusCode.ERROR });
+          span.setAttribute(
+            "mcp.error.code",
+            result.structuredContent?.error?.code || ""
+          );
+        }
+        return result;
+      } catch (err) {
+        span.recordException(err);
+        span.setStatus({ code: SpanStatusCode.ERROR });
+        throw err;
+      } finally {
+        span.end();
+      }
+    }
+  );
+}
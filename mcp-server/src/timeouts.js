@@ -0,0 +1,37 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { envNumber, envJSON } from "./config.js";
+import { settingFor } from "./groups.js";
+
+/**
+ * Timeout of each call to Web Apps.
+ * The default value is a bit shorter than "timeout" of gemini-extension.json (300000 ms),
+ * so that the client receives the timeout error from this server instead of its own timeout.
+ * Keys of "MCP_TOOL_TIMEOUTS" are tool names or group names like "tools_management_slides".
+ */
+
+const DEFAULT_TOOL_TIMEOUTS = {
+  get_current_date_time: 30000,
+  tools_management_APIs: 60000,
+  tools_management_rag: 60000,
+  generate_presentation_with_google_slides: 290000,
+  generate_roadmap_to_google_sheets: 290000,
+  file_search_gas_media_upload: 290000,
+  file_search_gas_import_file: 290000,
+  tools_use_gemini: 290000,
+};
+
+const defaultTimeoutMs_ = envNumber("MCP_REQUEST_TIMEOUT_MS", 290000);
+
+const toolTimeouts_ = {
+  ...DEFAULT_TOOL_TIMEOUTS,
+  ...envJSON("MCP_TOOL_TIMEOUTS"),
+};
+
+export function timeoutFor(name) {
+  const value = settingFor(toolTimeouts_, name);
+  return typeof value === "number" && value > 0 ? value : defaultTimeoutMs_;
+}
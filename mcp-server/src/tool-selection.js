@@ -0,0 +1,183 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { envBoolean, envList, envString, readConfigFile } from "./config.js";
+import { UsageError } from "./errors.js";
+import { metadataFor } from "./metadata.js";
+
+/**
+ * Selection of the tools registered to the MCP server.
+ * Patterns are tool names or group names like "tools_management_classroom", and "*" and "?" can be used like "classroom_*".
+ * "include" and "exclude" are given by "tools" of the config file, and "MCP_TOOLS_INCLUDE" and "MCP_TOOLS_EXCLUDE"
+ * of the environmental variables have priority over the config file.
+ * When "include" is empty, all tools are included. "exclude" has priority over "include".
+ *
+ * A profile is a named set of "include" and "exclude" for a persona. The profile is selected by "--profile",
+ * "MCP_TOOLS_PROFILE" or "profile" of the config file, and multiple profiles can be given as a comma-separated list.
+ * The tools of the profiles are narrowed down by "include" and "exclude" above.
+ * Teams can define their own profiles with "profiles" of the config file, and those override the built-in profiles.
+ *
+ * In the read-only mode, only the tools whose "access" of metadata.js is "read" are registered, so the write and
+ * destructive tools cannot be called whatever the description says. The read-only mode is enabled by "--read-only",
+ * "MCP_READ_ONLY", "readOnly" of the config file, or a profile with "readOnly: true".
+ */
+
+const EXTENSION_TOOLS = ["tools_management_extension", "get_current_date_time"];
+
+const BUILTIN_PROFILES = {
+  teacher: {
+    include: [
+      "tools_management_classroom",
+      "tools_management_forms",
+      "tools_management_drive",
+      "tools_management_gmail",
+      "explanation_generate_*_with_google_forms",
+      ...EXTENSION_TOOLS,
+    ],
+  },
+  analyst: {
+    include: [
+      "tools_management_sheets",
+      "tools_management_analytics",
+      "tools_management_filesearch",
+      "*chart*",
+      "explanation_analytics_*",
+      "explanation_manage_google_sheets_using_sheets_api",
+      ...EXTENSION_TOOLS,
+    ],
+  },
+  assistant: {
+    include: [
+      "tools_management_calendar",
+      "tools_management_gmail",
+      "tools_management_people",
+      "tools_management_maps",
+      "get_current_weather",
+      "get_specific_date_weather",
+      "explanation_create_maps_url",
+      ...EXTENSION_TOOLS,
+    ],
+  },
+  readonly: { readOnly: true },
+};
+
+function toRegExp_(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${source}$`);
+}
+
+function matcher_(patterns) {
+  const regExps = patterns.map(toRegExp_);
+  return (name, group) => regExps.some((r) => r.test(name) || r.test(group));
+}
+
+function patternsOf_(key, fromFile) {
+  const fromEnv = envList(key);
+  if (fromEnv.length > 0) {
+    return fromEnv;
+  }
+  if (fromFile !== undefined && !Array.isArray(fromFile)) {
+    throw new Error(
+      `"tools" of the config file is required to have arrays of the tool names or the group names.`
+    );
+  }
+  return fromFile || [];
+}
+
+function profilesOf_(names, config) {
+  const profiles = { ...BUILTIN_PROFILES, ...config.profiles };
+  return names.map((name) => {
+    if (!Object.hasOwn(profiles, name)) {
+      throw new UsageError(
+        `The profile "${name}" is not found. The profiles are ${Object.keys(
+          profiles
+        ).join(", ")}.`
+      );
+    }
+    const { include = [], exclude = [], readOnly = false } = profiles[name];
+    return { name, include, exclude, readOnly };
+  });
+}
+
+export function selectionSettings(
+  { profile, readOnly } = {},
+  config = readConfigFile()
+) {
+  const { include, exclude } = config.tools || {};
+  const profileNames = (
+    profile ||
+    envString("MCP_TOOLS_PROFILE") ||
+    config.profile ||
+    ""
+  )
+    .split(",")
+    .map((e) => e.trim())
+    .filter(Boolean);
+  const profiles = profilesOf_(profileNames, config);
+  return {
+    profiles,
+    readOnly:
+      readOnly ||
+      envBoolean("MCP_READ_ONLY", config.readOnly === true) ||
+      profiles.some((p) => p.readOnly),
+    include: patternsOf_("MCP_TOOLS_INCLUDE", include),
+    exclude: patternsOf_("MCP_TOOLS_EXCLUDE", exclude),
+  };
+}
+
+/**
+ * Select the tools from "toolGroups" of tools.js.
+ * The selected tools are returned with the summary of each group for the log.
+ */
+export function selectTools(
+  toolGroups,
+  { profiles = [], readOnly = false, include, exclude }
+) {
+  const inProfiles = profiles.map((p) => {
+    const profileIncluded =
+      p.include.length > 0 ? matcher_(p.include) : () => true;
+    const profileExcluded = matcher_(p.exclude);
+    return (name, group) =>
+      profileIncluded(name, group) && !profileExcluded(name, group);
+  });
+  const inProfile =
+    inProfiles.length > 0
+      ? (name, group) => inProfiles.some((f) => f(name, group))
+      : () => true;
+  const included = include.length > 0 ? matcher_(include) : () => true;
+  const excluded = matcher_(exclude);
+  const tools = [];
+  const summary = [];
+  for (const [group, groupTools] of Object.entries(toolGroups)) {
+    const selected = groupTools.filter(
+      ({ name }) =>
+        inProfile(name, group) &&
+        included(name, group) &&
+        !excluded(name, group) &&
+        (!readOnly || metadataFor(name).access === "read")
+    );
+    tools.push(...selected);
+    if (selected.length > 0) {
+      summary.push(`${group} (${selected.length}/${groupTools.length})`);
+    }
+  }
+  return { tools, summary };
+}
+
+/**
+ * Patterns which match no tool. Those are likely typos in the settings.
+ */
+export function unmatchedPatterns(toolGroups, patterns) {
+  const entries = Object.entries(toolGroups).flatMap(([group, groupTools]) =>
+    groupTools.map(({ name }) => [name, group])
+  );
+  return patterns.filter((pattern) => {
+    const matches = matcher_([pattern]);
+    return !entries.some(([name, group]) => matches(name, group));
+  });
+}
@@ -3,26 +3,83 @@
  * Copyright 2025 Tanaike
  */
 
+import { parseArgs } from "node:util";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { tools, prompts } from "./tools.js";
+import { envList, envNumber, envString } from "./config.js";
+import { startHttpServer } from "./http-transport.js";
+import { loadCatalogue, logCatalogue } from "./catalogue.js";
+import { UsageError } from "./errors.js";
+import { shutdownTelemetry } from "./telemetry.js";
+import { EXTENSION_NAME, EXTENSION_VERSION } from "./version.js";
 
-const server = new McpServer({
-  name: "tools-for-mcp-server-extension",
-  version: "1.2.1",
+const { values: options } = parseArgs({
+  options: {
+    transport: { type: "string", default: envString("MCP_TRANSPORT", "stdio") },
+    host: { type: "string", default: envString("MCP_HTTP_HOST", "127.0.0.1") },
+    port: { type: "string", default: String(envNumber("MCP_HTTP_PORT", 3000)) },
+    profile: { type: "string" },
+    "read-only": { type: "boolean" },
+  },
 });
 
-if (tools.length > 0) {
-  for (const { name, schema, func } of tools) {
-    server.registerTool(name, schema, func);
+let catalogue;
+try {
+  catalogue = await loadCatalogue({
+    profile: options.profile,
+    readOnly: options["read-only"],
+  });
+} catch (err) {
+  if (!(err instanceof UsageError)) {
+    throw err;
   }
+  console.error(err.message);
+  process.exit(2);
 }
+logCatalogue(catalogue);
+const { tools, prompts } = catalogue;
 
-if (prompts.length > 0) {
-  for (const { name, config, func } of prompts) {
-    server.registerPrompt(name, config, func);
+function createMcpServer() {
+  const server = new McpServer({
+    name: EXTENSION_NAME,
+    version: EXTENSION_VERSION,
+  });
+
+  if (tools.length > 0) {
+    for (const { name, config, func } of tools) {
+      server.registerTool(name, config, func);
+    }
+  }
+
+  if (prompts.length > 0) {
+    for (const { name, config, func } of prompts) {
+      server.registerPrompt(name, config, func);
+    }
   }
+  return server;
 }
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
+if (options.transport === "http") {
+  startHttpServer(createMcpServer, {
+    host: options.host,
+    port: Number(options.port),
+    path: envString("MCP_HTTP_PATH", "/mcp"),
+    token: envString("MCP_HTTP_TOKEN"),
+    allowedHosts: envList("MCP_HTTP_ALLOWED_HOSTS"),
+    allowedOrigins: envList("MCP_HTTP_ALLOWED_ORIGINS"),
+    sessionTtlMs: envNumber("MCP_HTTP_SESSION_TTL_MS", 1800000),
+  });
+} else if (options.transport === "stdio") {
+  const transport = new StdioServerTransport();
+  await createMcpServer().connect(transport);
+  const shutdown = async () => {
+    await shutdownTelemetry();
+    process.exit(0);
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+} else {
+  throw new Error(
+    `The transport is required to be "stdio" or "http". The current value is "${options.transport}".`
+  );
+}
@@ -1,57 +1,12 @@
 import { z } from "zod";
-
-const geminiAPIKey = process.env.GEMINI_API_KEY || "";
-const geminiAPIModel = process.env.GEMINI_MODEL || "";
-const webAppsURL = process.env.MCP_WEB_APPS_URL || "";
-
-if (!webAppsURL) {
-  throw new Error(
-    `Please set your Web Apps URL to "MCP_WEB_APPS_URL" of the environmental variables.`
-  );
-}
-
-async function request_({ name, method, body }) {
-  let result;
-  try {
-    const payload = {
-      jsonrpc: "2.0",
-      id: 1,
-      method,
-      params: { name, arguments: { ...body, geminiAPIKey, geminiAPIModel } },
-    };
-    const response = await fetch(webAppsURL, {
-      method: "POST",
-      body: JSON.stringify(payload),
-    });
-    const copiedResponse = response.clone();
-    if (!response.ok) {
-      result = {
-        content: [
-          { type: "text", text: `Response status: ${response.status}` },
-        ],
-        isError: true,
-      };
-    }
-    const o = await response.json();
-    if (o.result && o.result?.content && o.result.hasOwnProperty("isError")) {
-      // For tools
-      result = o.result || null;
-    } else if (o.result && o.result?.messages) {
-      // For prompts
-      result = o.result || null;
-    } else {
-      const text = await copiedResponse.text();
-      result = {
-        content: [{ type: "text", text }],
-        isError: false,
-      };
-    }
-  } catch ({ stack }) {
-    result = { content: [{ type: "text", text: stack }], isError: true };
-  }
-  // console.log(result); // Check response.
-  return result;
-}
+import { request_ } from "./request.js";
+import { registerToolGroups } from "./groups.js";
+import { outputSchemas } from "./output-schemas.js";
+import { quotaStatus } from "./quota.js";
+import { queryAudit } from "./audit.js";
+import { getJob, jobSummary, listJobs, waitForJob } from "./jobs.js";
+import { checkCompatibility, compatibilityText } from "./compatibility.js";
+import { errorResult, toToolError } from "./errors.js";
 
 const tools_management_APIs = [
   {
@@ -73,11 +28,12 @@ const tools_management_APIs = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_exchange_rate",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -98,11 +54,12 @@ const tools_management_APIs = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_current_weather",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -131,11 +88,12 @@ const tools_management_APIs = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_specific_date_weather",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -151,11 +109,12 @@ const tools_management_APIs = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_current_date_time",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -170,11 +129,12 @@ const tools_management_analytics = [
         queryParameters: z.object({}).catchall(z.unknown()),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "analytics_admin_accountSummaries_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -191,11 +151,12 @@ const tools_management_analytics = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "analytics_admin_properties_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -219,11 +180,12 @@ const tools_management_analytics = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "analytics_data_properties_runReport",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -247,11 +209,12 @@ const tools_management_analytics = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "analytics_data_properties_runRealtimeReport",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -281,12 +244,14 @@ const tools_management_calendar = [
           )
           .optional(),
       },
+      outputSchema: outputSchemas.search_schedule_on_Google_Calendar.shape,
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "search_schedule_on_Google_Calendar",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -323,11 +288,12 @@ const tools_management_calendar = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "create_schedule_on_Google_Calendar",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -341,11 +307,12 @@ const tools_management_calendar = [
           .describe("Event IDs on Google Calendar."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "delete_schedules_on_Google_Calendar",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -392,11 +359,12 @@ const tools_management_calendar = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "update_schedule_on_Google_Calendar",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -435,11 +403,12 @@ const tools_management_docs = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_values_from_google_docs",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -478,11 +447,12 @@ const tools_management_docs = [
           .describe("Text for appending or inserting to Google Docs."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "put_values_into_google_docs",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -523,11 +493,12 @@ const tools_management_docs = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_google_doc_object_using_docs_api",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -550,11 +521,12 @@ const tools_management_docs = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "manage_google_docs_using_docs_api",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -642,11 +614,12 @@ const tools_management_docs = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "create_document_body_in_google_docs",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -664,12 +637,14 @@ const tools_management_drive = [
             `Search query. In this case, the files are searched using "Method: files.list" of Drive API v3. The tool "explanation_search_file_in_google_drive" will help to generate the search query.`
           ),
       },
+      outputSchema: outputSchemas.search_file_in_google_drive.shape,
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "search_file_in_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -681,11 +656,12 @@ const tools_management_drive = [
         filename: z.string().describe("Filename of the file on Google Drive."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_file_from_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -699,11 +675,12 @@ const tools_management_drive = [
         mimeType: z.string().describe("MimeType of data of the file content."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "put_file_to_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -715,11 +692,12 @@ const tools_management_drive = [
         mimeType: z.string().describe("MimeType of data of the file content."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "create_file_to_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -735,11 +713,12 @@ const tools_management_drive = [
         ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "rename_files_on_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -758,11 +737,12 @@ const tools_management_drive = [
         ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "move_files_on_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -782,11 +762,12 @@ const tools_management_drive = [
         dstMimeType: z.string().describe("Destination mimeType."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "convert_mimetype_of_file_on_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -812,11 +793,12 @@ const tools_management_drive = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "change_permission_of_file_on_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -830,11 +812,12 @@ const tools_management_drive = [
         text: z.string().describe("Text as a markdown format.").optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "create_google_docs_from_markdown_on_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -847,11 +830,12 @@ const tools_management_drive = [
         ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "remove_files_on_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -880,11 +864,12 @@ const tools_management_drive = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "comments_drive_api_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -898,11 +883,12 @@ const tools_management_drive = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "comments_drive_api_remove",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -923,11 +909,12 @@ const tools_management_drive = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "revisions_drive_api_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -989,11 +976,12 @@ const tools_management_drive = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "drive_activity_api_query",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1041,11 +1029,12 @@ const tools_management_drive = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "publicly_share_file_on_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -1070,11 +1059,12 @@ const tools_management_forms = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "generate_survey_with_google_forms",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1096,11 +1086,12 @@ const tools_management_forms = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "generate_quiz_with_google_forms",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -1122,11 +1113,12 @@ const tools_management_gmail = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_massages_by_time_from_Gmail",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1144,12 +1136,14 @@ const tools_management_gmail = [
           .describe(`Excluded message IDs.`)
           .optional(),
       },
+      outputSchema: outputSchemas.get_massages_by_search_from_Gmail.shape,
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_massages_by_search_from_Gmail",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1161,11 +1155,12 @@ const tools_management_gmail = [
         messageId: z.string().describe(`Message ID of the email.`),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_attachment_files_from_Gmail",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1200,11 +1195,12 @@ const tools_management_gmail = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "add_label_to_Gmail",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1240,11 +1236,12 @@ const tools_management_gmail = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "auto_reply_draft_creation_Gmail",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1277,11 +1274,12 @@ const tools_management_gmail = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "auto_new_draft_creation_Gmail",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1298,11 +1296,12 @@ const tools_management_gmail = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "send_mails_Gmail",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1318,11 +1317,12 @@ const tools_management_gmail = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "remove_mails_Gmail",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -1360,12 +1360,14 @@ const tools_management_sheets = [
           )
           .optional(),
       },
+      outputSchema: outputSchemas.get_values_from_google_sheets.shape,
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_values_from_google_sheets",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1406,11 +1408,12 @@ const tools_management_sheets = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "put_values_to_google_sheets",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1427,11 +1430,12 @@ const tools_management_sheets = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "search_values_from_google_sheets",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1486,11 +1490,12 @@ const tools_management_sheets = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_google_sheet_object_using_sheets_api",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1512,11 +1517,12 @@ const tools_management_sheets = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "manage_google_sheets_using_sheets_api",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1529,11 +1535,12 @@ const tools_management_sheets = [
           .describe("The spreadsheet ID to apply the updates to."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_charts_on_google_sheets",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1555,11 +1562,12 @@ const tools_management_sheets = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "create_chart_on_google_sheets",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1581,11 +1589,12 @@ const tools_management_sheets = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "update_chart_on_google_sheets",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1597,11 +1606,12 @@ const tools_management_sheets = [
         chartIds: z.array(z.string().describe("Chart ID on Google Sheets.")),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "create_charts_as_image_on_google_sheets",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -1636,11 +1646,12 @@ const tools_management_slides = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "generate_presentation_with_google_slides",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1656,11 +1667,12 @@ const tools_management_slides = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_google_slides_object_using_slides_api",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1682,11 +1694,12 @@ const tools_management_slides = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "manage_google_slides_using_slides_api",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -1738,11 +1751,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1762,11 +1776,12 @@ const tools_management_classroom = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1790,11 +1805,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_update",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1840,11 +1856,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_patch",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1861,11 +1878,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_remove",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1882,11 +1900,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1903,11 +1922,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_getGradingPeriodSettings",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1965,11 +1985,12 @@ const tools_management_classroom = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_updateGradingPeriodSettings",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -1986,11 +2007,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_aliases_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2020,11 +2042,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_aliases_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2046,11 +2069,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_aliases_delete",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2097,11 +2121,12 @@ const tools_management_classroom = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2125,11 +2150,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2179,11 +2205,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_patch",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2205,11 +2232,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_delete",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2231,11 +2259,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2289,11 +2318,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_modifyAssignees",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2311,11 +2341,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_students_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2355,11 +2386,12 @@ const tools_management_classroom = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_students_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2386,11 +2418,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_students_delete",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2417,11 +2450,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_students_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2439,11 +2473,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_teachers_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2473,11 +2508,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_teachers_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2504,11 +2540,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_teachers_delete",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2535,11 +2572,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_teachers_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2592,11 +2630,12 @@ const tools_management_classroom = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWorkMaterials_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2683,11 +2722,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWorkMaterials_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2782,11 +2822,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWorkMaterials_patch",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2808,11 +2849,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWorkMaterials_delete",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2830,11 +2872,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWorkMaterials_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2894,11 +2937,12 @@ const tools_management_classroom = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_studentSubmissions_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2969,11 +3013,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_studentSubmissions_patch",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -2992,11 +3037,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_studentSubmissions_reclaim",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3015,11 +3061,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_studentSubmissions_return",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3038,11 +3085,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_studentSubmissions_turnIn",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3061,11 +3109,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_studentSubmissions_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3099,11 +3148,12 @@ const tools_management_classroom = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_announcements_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3127,11 +3177,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_announcements_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3171,11 +3222,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_announcements_patch",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3197,11 +3249,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_announcements_delete",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3219,11 +3272,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_announcements_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3266,11 +3320,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_announcements_modifyAssignees",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3308,11 +3363,12 @@ const tools_management_classroom = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_rubrics_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3366,11 +3422,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_rubrics_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3432,11 +3489,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_rubrics_patch",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3455,11 +3513,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_rubrics_delete",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3478,11 +3537,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_courseWork_rubrics_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3500,11 +3560,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_topics_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3528,11 +3589,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_topics_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3570,11 +3632,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_topics_patch",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3592,11 +3655,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_topics_delete",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3614,11 +3678,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_courses_topics_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3650,11 +3715,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_invitations_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3674,11 +3740,12 @@ const tools_management_classroom = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_invitations_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3691,11 +3758,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_invitations_remove",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3708,11 +3776,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_invitations_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3725,11 +3794,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_invitations_accept",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3752,11 +3822,12 @@ const tools_management_classroom = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_registrations_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3771,11 +3842,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_registrations_delete",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3797,11 +3869,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_userProfiles_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3838,11 +3911,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_userProfiles_guardianInvitations_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3864,11 +3938,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_userProfiles_guardianInvitations_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3909,11 +3984,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_userProfiles_guardianInvitations_patch",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3935,11 +4011,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_userProfiles_guardianInvitations_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -3973,11 +4050,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_userProfiles_guardians_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4000,11 +4078,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_userProfiles_guardians_remove",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4027,11 +4106,12 @@ const tools_management_classroom = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "classroom_userProfiles_guardians_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -4062,11 +4142,12 @@ const tools_management_people = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "people_contactGroups_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4141,11 +4222,12 @@ const tools_management_people = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "people_otherContacts_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4243,11 +4325,12 @@ const tools_management_people = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "people_connections_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4282,11 +4365,12 @@ const tools_management_people = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "people_people_getBatchGet",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4315,11 +4399,12 @@ const tools_management_people = [
         }),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "people_otherContacts_search",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -4394,11 +4479,12 @@ const tools_management_maps = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "maps_get_route",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4418,11 +4504,12 @@ const tools_management_maps = [
           .describe("An address. Name of the location and place."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "maps_convert_location_to_lat_lon",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4441,11 +4528,12 @@ const tools_management_maps = [
         longitude: z.number().describe("The longitude of the point"),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "maps_convert_lat_lon_to_location",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4552,11 +4640,12 @@ const tools_management_maps = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "maps_create_map",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -4571,11 +4660,12 @@ const tools_use_gemini = [
         fileId: z.string().describe("File ID of the file on Google Drive."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "generate_description_on_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4591,11 +4681,12 @@ const tools_use_gemini = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "generate_image_on_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4607,11 +4698,12 @@ const tools_use_gemini = [
         prompt: z.string().describe("Prompt (description) for summarizing."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "summarize_file_on_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4652,11 +4744,12 @@ const tools_use_gemini = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "generate_roadmap_to_google_sheets",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4669,11 +4762,12 @@ const tools_use_gemini = [
           .describe("URLs of the sites. This function describes the sites."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "description_web_site",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4689,11 +4783,12 @@ const tools_use_gemini = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "description_video_on_youtube",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -4711,11 +4806,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_create_maps_url",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4735,11 +4831,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_reference_generate_google_apps_script",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4756,11 +4853,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_reference_export_google_sheets_as_pdf",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4778,11 +4876,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_analytics_data_properties_runReport",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4800,11 +4899,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_analytics_data_properties_runRealtimeReport",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4822,11 +4922,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_manage_google_sheets_using_sheets_api",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4844,11 +4945,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_manage_google_docs_using_docs_api",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4866,11 +4968,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_manage_google_slides_using_slides_api",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4887,11 +4990,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_generate_survey_with_google_forms",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4908,11 +5012,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_generate_quiz_with_google_forms",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4930,11 +5035,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_search_file_in_google_drive",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4954,11 +5060,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_google_apps_script_library_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -4973,11 +5080,12 @@ const tools_management_rag = [
       ].join("\n"),
       inputSchema: {},
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "explanation_create_chart_by_google_sheets_api",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
@@ -4991,12 +5099,14 @@ const tools_management_filesearch = [
         `When the MCP server "file-search-store-extension" is installed, use the tool "file_search_store_list" of "file-search-store-extension" as a priority.`,
       ].join("\n"),
       inputSchema: {},
+      outputSchema: outputSchemas.file_search_gas_list.shape,
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "file_search_gas_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -5010,11 +5120,12 @@ const tools_management_filesearch = [
         displayName: z.string().describe("The display name for the new store."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "file_search_gas_create",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -5030,11 +5141,12 @@ const tools_management_filesearch = [
           .describe("The name of the store to retrieve."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "file_search_gas_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -5050,11 +5162,12 @@ const tools_management_filesearch = [
           .describe("The name of the store to delete."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "file_search_gas_remove",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -5160,11 +5273,12 @@ const tools_management_filesearch = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "file_search_gas_media_upload",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -5228,11 +5342,12 @@ const tools_management_filesearch = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "file_search_gas_import_file",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -5250,11 +5365,12 @@ const tools_management_filesearch = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "file_search_gas_documents_list",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -5272,11 +5388,12 @@ const tools_management_filesearch = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "file_search_gas_documents_remove",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -5294,11 +5411,12 @@ const tools_management_filesearch = [
           ),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "file_search_gas_documents_get",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -5343,11 +5461,12 @@ const tools_management_filesearch = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "file_search_gas_documents_query",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
   {
@@ -5381,15 +5500,222 @@ const tools_management_filesearch = [
           .optional(),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "file_search_gas_generate_content",
         method: "tools/call",
         body: object,
+        extra,
       }),
   },
 ];
 
+// These tools run in this extension without calling Web Apps.
+const tools_management_extension = [
+  {
+    name: "quota_status",
+    schema: {
+      description: [
+        "Use this to get the usage of today and the remaining headroom of the quotas of Google Apps Script recorded by this extension.",
+        `The quotas are "emails" (sent emails), "calendarEvents" (created events), "urlFetch", "geminiRequests" and "executions", and the limits for each tool name.`,
+        `"remaining" is null when no daily limit is set.`,
+      ].join("\n"),
+      inputSchema: {},
+    },
+    func: async () => {
+      const status = quotaStatus();
+      return {
+        content: [{ type: "text", text: JSON.stringify(status) }],
+        structuredContent: status,
+        isError: false,
+      };
+    },
+  },
+  {
+    name: "audit_log_query",
+    schema: {
+      description: [
+        "Use this to search the audit log of the tool calls recorded by this extension. The newest entries are returned first.",
+        `Each entry has "timestamp", "tool", the redacted "arguments", "durationMs", "outcome", "errorCode" and "resourceIds" of the resources created or changed by the call.`,
+      ].join("\n"),
+      inputSchema: {
+        tool: z.string().describe("Tool name of the entries.").optional(),
+        outcome: z
+          .enum(["success", "error", "preview", "job_started"])
+          .describe("Outcome of the entries.")
+          .optional(),
+        since: z
+          .string()
+          .describe(
+            `Only the entries after this date-time are returned. The format is ISO 8601 like "2025-01-01T00:00:00Z".`
+          )
+          .optional(),
+        limit: z
+          .number()
+          .min(1)
+          .max(500)
+          .describe("Maximum number of the entries. The default is 50.")
+          .optional(),
+      },
+    },
+    func: async ({ tool, outcome, since, limit = 50 } = {}) => {
+      const sinceTime = since ? new Date(since) : null;
+      if (sinceTime && Number.isNaN(sinceTime.getTime())) {
+        return {
+          content: [
+            { type: "text", text: `"${since}" is not a valid date-time.` },
+          ],
+          isError: true,
+        };
+      }
+      const log = queryAudit({
+        tool,
+        outcome,
+        since: sinceTime?.toISOString(),
+        limit,
+      });
+      return {
+        content: [{ type: "text", text: JSON.stringify(log) }],
+        structuredContent: log,
+        isError: false,
+      };
+    },
+  },
+  {
+    name: "job_status",
+    schema: {
+      description: [
+        "Use this to get the state of the jobs of the long-running tools.",
+        `When "jobId" is not given, the recent jobs are returned. The state is "running", "succeeded", "failed" or "interrupted".`,
+      ].join("\n"),
+      inputSchema: {
+        jobId: z
+          .string()
+          .describe("Job ID returned when the long-running tool was called.")
+          .optional(),
+      },
+    },
+    func: async ({ jobId } = {}) => {
+      const jobs = jobId ? [getJob(jobId)].filter(Boolean) : listJobs();
+      if (jobId && jobs.length === 0) {
+        return {
+          content: [
+            { type: "text", text: `The job "${jobId}" was not found.` },
+          ],
+          isError: true,
+        };
+      }
+      const status = { jobs: jobs.map(jobSummary) };
+      return {
+        content: [{ type: "text", text: JSON.stringify(status) }],
+        structuredContent: status,
+        isError: false,
+      };
+    },
+  },
+  {
+    name: "job_result",
+    schema: {
+      description: [
+        "Use this to get the result of the job of the long-running tool.",
+        `When the job is still running, this waits for "waitSeconds" while sending the progress notifications. When the job has not finished after that, call this tool again.`,
+      ].join("\n"),
+      inputSchema: {
+        jobId: z
+          .string()
+          .describe("Job ID returned when the long-running tool was called."),
+        waitSeconds: z
+          .number()
+          .min(0)
+          .max(240)
+          .describe("Seconds to wait for the job. The default is 60.")
+          .optional(),
+      },
+    },
+    func: async ({ jobId, waitSeconds = 60 }, extra) => {
+      const progressToken = extra?._meta?.progressToken;
+      const job = await waitForJob(jobId, {
+        waitMs: waitSeconds * 1000,
+        signal: extra?.signal,
+        onProgress:
+          progressToken === undefined
+            ? undefined
+            : ({ elapsedSeconds }) =>
+                extra.sendNotification({
+                  method: "notifications/progress",
+                  params: {
+                    progressToken,
+                    progress: elapsedSeconds,
+                    message: `The job "${jobId}" is running (${elapsedSeconds} seconds).`,
+                  },
+                }),
+      });
+      if (!job) {
+        return {
+          content: [
+            { type: "text", text: `The job "${jobId}" was not found.` },
+          ],
+          isError: true,
+        };
+      }
+      if (job.state === "running") {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `The job "${jobId}" is still running. Please call "job_result" again later.`,
+            },
+          ],
+          structuredContent: { job: jobSummary(job) },
+          isError: false,
+        };
+      }
+      if (job.state === "interrupted") {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `The job "${jobId}" was interrupted because the MCP server was stopped before the job finished. The script of Web Apps might have finished. Please confirm the result on Google Workspace.`,
+            },
+          ],
+          structuredContent: { job: jobSummary(job) },
+          isError: true,
+        };
+      }
+      return job.result;
+    },
+  },
+  {
+    name: "check_backend_compatibility",
+    schema: {
+      description: [
+        `Use this to compare the tools of this extension with the tools of the Google Apps Script project of Web Apps returned by "tools/list".`,
+        "The tools missing in Web Apps, the tools only in Web Apps, and the differences of the arguments (missing arguments, types, required or optional, and enums) are reported.",
+      ].join("\n"),
+      inputSchema: {
+        tools: z
+          .array(z.string().describe("Tool name."))
+          .describe(
+            "Tool names to check. When this is not given, all tools are checked."
+          )
+          .optional(),
+      },
+    },
+    func: async ({ tools } = {}) => {
+      try {
+        const report = await checkCompatibility(toolGroups, { names: tools });
+        return {
+          content: [{ type: "text", text: compatibilityText(report) }],
+          structuredContent: report,
+          isError: false,
+        };
+      } catch (err) {
+        return errorResult(toToolError(err));
+      }
+    },
+  },
+];
+
 const prompts_sample = [
   {
     name: "search_files_on_google_drive",
@@ -5405,11 +5731,12 @@ const prompts_sample = [
           .describe("Filename of the search file."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "search_files_on_google_drive",
         method: "prompts/get",
         body: object,
+        extra,
       }),
   },
   {
@@ -5426,11 +5753,12 @@ const prompts_sample = [
           .describe("Location of the weather."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "get_weather",
         method: "prompts/get",
         body: object,
+        extra,
       }),
   },
   {
@@ -5447,31 +5775,37 @@ const prompts_sample = [
           .describe("Goal of the roadmap."),
       },
     },
-    func: async (object = {}) =>
+    func: async (object = {}, extra) =>
       await request_({
         name: "generate_roadmap",
         method: "prompts/get",
         body: object,
+        extra,
       }),
   },
 ];
 
-export const tools = [
-  ...tools_management_APIs,
-  ...tools_management_analytics,
-  ...tools_management_calendar,
-  ...tools_management_docs,
-  ...tools_management_drive,
-  ...tools_management_forms,
-  ...tools_management_gmail,
-  ...tools_management_sheets,
-  ...tools_management_slides,
-  ...tools_management_classroom,
-  ...tools_management_people,
-  ...tools_management_maps,
-  ...tools_use_gemini,
-  ...tools_management_rag,
-  ...tools_management_filesearch,
-];
+export const toolGroups = {
+  tools_management_APIs,
+  tools_management_analytics,
+  tools_management_calendar,
+  tools_management_docs,
+  tools_management_drive,
+  tools_management_forms,
+  tools_management_gmail,
+  tools_management_sheets,
+  tools_management_slides,
+  tools_management_classroom,
+  tools_management_people,
+  tools_management_maps,
+  tools_use_gemini,
+  tools_management_rag,
+  tools_management_filesearch,
+  tools_management_extension,
+};
+
+registerToolGroups(toolGroups);
+
+export const tools = Object.values(toolGroups).flat();
 
 export const prompts = [...prompts_sample];
@@ -0,0 +1,18 @@
+/**
+ * @license
+ * Copyright 2025 Tanaike
+ */
+
+import { readFileSync } from "node:fs";
+
+/**
+ * Name and version of this extension. "version" of package.json is used for both the MCP server
+ * and the handshake with Web Apps, so that those don't differ.
+ */
+
+const { name, version } = JSON.parse(
+  readFileSync(new URL("../package.json", import.meta.url), "utf8")
+);
+
+export const EXTENSION_NAME = name;
+export const EXTENSION_VERSION = version;